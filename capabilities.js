@@ -10,17 +10,80 @@ var utils = require('./utils');
  *! Capability helpers
  */
 
-var avCodecRegexp = /^\s*([D ])([E ])([VAS])([S ])([D ])([T ]) ([^ ]+) +(.*)$/;
-var ffCodecRegexp = /^\s*([D\.])([E\.])([VAS])([I\.])([L\.])([S\.]) ([^ ]+) +(.*)$/;
-var ffEncodersRegexp = /\(encoders:([^\)]+)\)/;
-var ffDecodersRegexp = /\(decoders:([^\)]+)\)/;
-var encodersRegexp = /^\s*([VAS\.])([F\.])([S\.])([X\.])([B\.])([D\.]) ([^ ]+) +(.*)$/;
-var formatRegexp = /^\s*([D ])([E ]) ([^ ]+) +(.*)$/;
 var lineBreakRegexp = /\r\n|\r|\n/;
-var filterRegexp = /^(?: [T\.][S\.][C\.] )?([^ ]+) +(AA?|VV?|\|)->(AA?|VV?|\|) +(.*)$/;
+var listingHeaderRegexp = /^Available .*:\s*$/;
+var listingRegexp = /^\s+([a-zA-Z0-9_.-]+)\s*(?:[-:]\s+(.*?))?\s*$/;
 
 var cache = {};
 
+
+/**
+ * Parse an mencoder component listing
+ *
+ * Listings start with an 'Available ...:' header line, followed by one indented
+ * line for each component with an optional description after a '-' or ':' separator.
+ *
+ * @param {String} output mencoder output
+ * @return Object with component names as keys and {description} objects as values
+ * @private
+ */
+function parseListing(output) {
+  var listing = {};
+  var inListing = false;
+
+  output.split(lineBreakRegexp).forEach(function(line) {
+    if (line.match(listingHeaderRegexp)) {
+      inListing = true;
+      return;
+    }
+
+    if (inListing) {
+      var match = line.match(listingRegexp);
+
+      if (match) {
+        listing[match[1]] = { description: match[2] || '' };
+      } else {
+        inListing = false;
+      }
+    }
+  });
+
+  return listing;
+}
+
+
+/**
+ * Merge video and audio listings
+ *
+ * @param {MencoderCommand} command command
+ * @param {String} videoMethod name of the method returning the video listing
+ * @param {String} audioMethod name of the method returning the audio listing
+ * @param {Function} callback callback with signature (err, listing)
+ * @private
+ */
+function mergeListings(command, videoMethod, audioMethod, callback) {
+  async.series([
+    function(cb) { command[videoMethod](cb); },
+    function(cb) { command[audioMethod](cb); }
+  ], function(err, listings) {
+    if (err) {
+      return callback(err);
+    }
+
+    var data = {};
+
+    ['audio', 'video'].forEach(function(type, index) {
+      var listing = listings[1 - index];
+
+      Object.keys(listing).forEach(function(name) {
+        data[name] = { description: listing[name].description, type: type };
+      });
+    });
+
+    callback(null, data);
+  });
+}
+
 module.exports = function(proto) {
   /**
    * Manually define the mencoder binary full path.
@@ -48,6 +111,19 @@ module.exports = function(proto) {
     return this;
   };
 
+  /**
+   * Manually define the mplayer binary full path.
+   *
+   * @method MencoderCommand#setMplayerPath
+   *
+   * @param {String} mplayerPath The full path to the mplayer binary.
+   * @return MencoderCommand
+   */
+  proto.setMplayerPath = function(mplayerPath) {
+    cache.mplayerPath = mplayerPath;
+    return this;
+  };
+
   /**
    * Manually define the flvtool2/flvmeta binary full path.
    *
@@ -72,9 +148,24 @@ module.exports = function(proto) {
   proto._forgetPaths = function() {
     delete cache.mencoderPath;
     delete cache.ffprobePath;
+    delete cache.mplayerPath;
     delete cache.flvtoolPath;
   };
 
+  /**
+   * Get the mencoder path without searching for it
+   *
+   * Returns the path set with {@link MencoderCommand#setMencoderPath} or found by a previous
+   * search, or 'mencoder' to let the shell find it.
+   *
+   * @method MencoderCommand#_getKnownMencoderPath
+   * @return String
+   * @private
+   */
+  proto._getKnownMencoderPath = function() {
+    return cache.mencoderPath || 'mencoder';
+  };
+
   /**
    * Check for mencoder availability
    *
@@ -86,6 +177,8 @@ module.exports = function(proto) {
    * @private
    */
   proto._getMencoderPath = function(callback) {
+    var self = this;
+
     if ('mencoderPath' in cache) {
       return callback(null, cache.mencoderPath);
     }
@@ -120,7 +213,9 @@ module.exports = function(proto) {
       if (err) {
         callback(err);
       } else {
-        callback(null, cache.mencoderPath = (mencoder || ''));
+        cache.mencoderPath = mencoder || '';
+        self.logger.debug(cache.mencoderPath ? 'Using mencoder at ' + cache.mencoderPath : 'Could not find mencoder');
+        callback(null, cache.mencoderPath);
       }
     });
   };
@@ -191,7 +286,82 @@ module.exports = function(proto) {
       if (err) {
         callback(err);
       } else {
-        callback(null, cache.ffprobePath = (ffprobe || ''));
+        cache.ffprobePath = ffprobe || '';
+        self.logger.debug(cache.ffprobePath ? 'Using ffprobe at ' + cache.ffprobePath : 'Could not find ffprobe');
+        callback(null, cache.ffprobePath);
+      }
+    });
+  };
+
+
+  /**
+   * Check for mplayer availability
+   *
+   * If the MPLAYER_PATH environment variable is set, try to use it.
+   * If it is unset or incorrect, try to find mplayer in the PATH instead.
+   * If this still fails, try to find mplayer in the same directory as mencoder.
+   *
+   * @method MencoderCommand#_getMplayerPath
+   * @param {Function} callback callback with signature (err, path)
+   * @private
+   */
+  proto._getMplayerPath = function(callback) {
+    var self = this;
+
+    if ('mplayerPath' in cache) {
+      return callback(null, cache.mplayerPath);
+    }
+
+    async.waterfall([
+      // Try MPLAYER_PATH
+      function(cb) {
+        if (process.env.MPLAYER_PATH) {
+          fs.exists(process.env.MPLAYER_PATH, function(exists) {
+            cb(null, exists ? process.env.MPLAYER_PATH : '');
+          });
+        } else {
+          cb(null, '');
+        }
+      },
+
+      // Search in the PATH
+      function(mplayer, cb) {
+        if (mplayer.length) {
+          return cb(null, mplayer);
+        }
+
+        utils.which('mplayer', function(err, mplayer) {
+          cb(err, mplayer);
+        });
+      },
+
+      // Search in the same directory as mencoder
+      function(mplayer, cb) {
+        if (mplayer.length) {
+          return cb(null, mplayer);
+        }
+
+        self._getMencoderPath(function(err, mencoder) {
+          if (err) {
+            cb(err);
+          } else if (mencoder.length) {
+            var name = utils.isWindows ? 'mplayer.exe' : 'mplayer';
+            var mplayer = path.join(path.dirname(mencoder), name);
+            fs.exists(mplayer, function(exists) {
+              cb(null, exists ? mplayer : '');
+            });
+          } else {
+            cb(null, '');
+          }
+        });
+      }
+    ], function(err, mplayer) {
+      if (err) {
+        callback(err);
+      } else {
+        cache.mplayerPath = mplayer || '';
+        self.logger.debug(cache.mplayerPath ? 'Using mplayer at ' + cache.mplayerPath : 'Could not find mplayer');
+        callback(null, cache.mplayerPath);
       }
     });
   };
@@ -208,6 +378,8 @@ module.exports = function(proto) {
    * @private
    */
    proto._getFlvtoolPath = function(callback) {
+    var self = this;
+
     if ('flvtoolPath' in cache) {
       return callback(null, cache.flvtoolPath);
     }
@@ -264,398 +436,306 @@ module.exports = function(proto) {
       if (err) {
         callback(err);
       } else {
-        callback(null, cache.flvtoolPath = (flvtool || ''));
+        cache.flvtoolPath = flvtool || '';
+        self.logger.debug(cache.flvtoolPath ? 'Using flvtool2/flvmeta at ' + cache.flvtoolPath : 'Could not find flvtool2/flvmeta');
+        callback(null, cache.flvtoolPath);
       }
     });
   };
 
 
   /**
-   * A callback passed to {@link MencoderCommand#availableFilters}.
+   * Query mencoder for a list of available components
    *
-   * @callback MencoderCommand~filterCallback
-   * @param {Error|null} err error object or null if no error happened
-   * @param {Object} filters filter object with filter names as keys and the following
-   *   properties for each filter:
-   * @param {String} filters.description filter description
-   * @param {String} filters.input input type, one of 'audio', 'video' and 'none'
-   * @param {Boolean} filters.multipleInputs whether the filter supports multiple inputs
-   * @param {String} filters.output output type, one of 'audio', 'video' and 'none'
-   * @param {Boolean} filters.multipleOutputs whether the filter supports multiple outputs
-   */
-
-  /**
-   * Query mencoder for available filters
-   *
-   * @method MencoderCommand#availableFilters
-   * @category Capabilities
-   * @aliases getAvailableFilters
+   * Runs mencoder with 'args' (eg. '-ovc help') and parses the listing it prints.
+   * Results are cached for each mencoder binary.
    *
-   * @param {MencoderCommand~filterCallback} callback callback function
+   * @method MencoderCommand#_getListing
+   * @param {String} key cache key
+   * @param {Array} args mencoder arguments
+   * @param {Function} callback callback with signature (err, listing)
+   * @private
    */
-  proto.availableFilters =
-  proto.getAvailableFilters = function(callback) {
-    if ('filters' in cache) {
-      return callback(null, cache.filters);
-    }
+  proto._getListing = function(key, args, callback) {
+    var self = this;
 
-    this._spawnMencoder(['-filters'], { captureStdout: true }, function (err, stdout) {
+    this._getMencoderPath(function(err, mencoder) {
       if (err) {
         return callback(err);
       }
 
-      var lines = stdout.split('\n');
-      var data = {};
-      var types = { A: 'audio', V: 'video', '|': 'none' };
-
-      lines.forEach(function(line) {
-        var match = line.match(filterRegexp);
-        if (match) {
-          data[match[1]] = {
-            description: match[4],
-            input: types[match[2].charAt(0)],
-            multipleInputs: match[2].length > 1,
-            output: types[match[3].charAt(0)],
-            multipleOutputs: match[3].length > 1
-          };
+      var listings = cache.listings = cache.listings || {};
+      var binaryListings = listings[mencoder] = listings[mencoder] || {};
+
+      if (key in binaryListings) {
+        return callback(null, binaryListings[key]);
+      }
+
+      self._spawnMencoder(args, { captureStdout: true }, function(err, stdout) {
+        // mencoder may exit with an error code after printing help
+        var listing = parseListing(stdout || '');
+
+        if (!Object.keys(listing).length) {
+          return callback(err || new Error('Could not parse output of mencoder ' + args.join(' ')));
         }
-      });
 
-      callback(null, cache.filters = data);
+        callback(null, binaryListings[key] = listing);
+      });
     });
   };
 
 
   /**
-   * A callback passed to {@link MencoderCommand#availableCodecs}.
+   * A callback passed to capability query methods.
    *
-   * @callback MencoderCommand~codecCallback
+   * @callback MencoderCommand~listingCallback
    * @param {Error|null} err error object or null if no error happened
-   * @param {Object} codecs codec object with codec names as keys and the following
-   *   properties for each codec (more properties may be available depending on the
-   *   mencoder version used):
-   * @param {String} codecs.description codec description
-   * @param {Boolean} codecs.canDecode whether the codec is able to decode streams
-   * @param {Boolean} codecs.canEncode whether the codec is able to encode streams
+   * @param {Object} listing object with component names as keys and the following
+   *   properties for each component:
+   * @param {String} listing.description component description
    */
 
   /**
-   * Query mencoder for available codecs
+   * Query mencoder for available video encoders (-ovc values)
    *
-   * @method MencoderCommand#availableCodecs
+   * @method MencoderCommand#availableVideoEncoders
    * @category Capabilities
-   * @aliases getAvailableCodecs
+   * @aliases getAvailableVideoEncoders
    *
-   * @param {MencoderCommand~codecCallback} callback callback function
+   * @param {MencoderCommand~listingCallback} callback callback function
    */
-  proto.availableCodecs =
-  proto.getAvailableCodecs = function(callback) {
-    if ('codecs' in cache) {
-      return callback(null, cache.codecs);
-    }
-
-    this._spawnMencoder(['-codecs'], { captureStdout: true }, function(err, stdout) {
-      if (err) {
-        return callback(err);
-      }
+  proto.availableVideoEncoders =
+  proto.getAvailableVideoEncoders = function(callback) {
+    this._getListing('videoEncoders', ['-ovc', 'help'], callback);
+  };
 
-      var lines = stdout.split(lineBreakRegexp);
-      var data = {};
-
-      lines.forEach(function(line) {
-        var match = line.match(avCodecRegexp);
-        if (match && match[7] !== '=') {
-          data[match[7]] = {
-            type: { 'V': 'video', 'A': 'audio', 'S': 'subtitle' }[match[3]],
-            description: match[8],
-            canDecode: match[1] === 'D',
-            canEncode: match[2] === 'E',
-            drawHorizBand: match[4] === 'S',
-            directRendering: match[5] === 'D',
-            weirdFrameTruncation: match[6] === 'T'
-          };
-        }
 
-        match = line.match(ffCodecRegexp);
-        if (match && match[7] !== '=') {
-          var codecData = data[match[7]] = {
-            type: { 'V': 'video', 'A': 'audio', 'S': 'subtitle' }[match[3]],
-            description: match[8],
-            canDecode: match[1] === 'D',
-            canEncode: match[2] === 'E',
-            intraFrameOnly: match[4] === 'I',
-            isLossy: match[5] === 'L',
-            isLossless: match[6] === 'S'
-          };
-
-          var encoders = codecData.description.match(ffEncodersRegexp);
-          encoders = encoders ? encoders[1].trim().split(' ') : [];
-
-          var decoders = codecData.description.match(ffDecodersRegexp);
-          decoders = decoders ? decoders[1].trim().split(' ') : [];
-
-          if (encoders.length || decoders.length) {
-            var coderData = {};
-            utils.copy(codecData, coderData);
-            delete coderData.canEncode;
-            delete coderData.canDecode;
-
-            encoders.forEach(function(name) {
-              data[name] = {};
-              utils.copy(coderData, data[name]);
-              data[name].canEncode = true;
-            });
+  /**
+   * Query mencoder for available audio encoders (-oac values)
+   *
+   * @method MencoderCommand#availableAudioEncoders
+   * @category Capabilities
+   * @aliases getAvailableAudioEncoders
+   *
+   * @param {MencoderCommand~listingCallback} callback callback function
+   */
+  proto.availableAudioEncoders =
+  proto.getAvailableAudioEncoders = function(callback) {
+    this._getListing('audioEncoders', ['-oac', 'help'], callback);
+  };
 
-            decoders.forEach(function(name) {
-              if (name in data) {
-                data[name].canDecode = true;
-              } else {
-                data[name] = {};
-                utils.copy(coderData, data[name]);
-                data[name].canDecode = true;
-              }
-            });
-          }
-        }
-      });
 
-      callback(null, cache.codecs = data);
-    });
+  /**
+   * Query mencoder for available muxers (-of values)
+   *
+   * @method MencoderCommand#availableMuxers
+   * @category Capabilities
+   * @aliases getAvailableMuxers,availableFormats,getAvailableFormats
+   *
+   * @param {MencoderCommand~listingCallback} callback callback function
+   */
+  proto.availableFormats =
+  proto.getAvailableFormats =
+  proto.availableMuxers =
+  proto.getAvailableMuxers = function(callback) {
+    this._getListing('muxers', ['-of', 'help'], callback);
   };
 
 
   /**
-   * A callback passed to {@link MencoderCommand#availableEncoders}.
+   * Query mencoder for available video filters
    *
-   * @callback MencoderCommand~encodersCallback
-   * @param {Error|null} err error object or null if no error happened
-   * @param {Object} encoders encoders object with encoder names as keys and the following
-   *   properties for each encoder:
-   * @param {String} encoders.description codec description
-   * @param {Boolean} encoders.type "audio", "video" or "subtitle"
-   * @param {Boolean} encoders.frameMT whether the encoder is able to do frame-level multithreading
-   * @param {Boolean} encoders.sliceMT whether the encoder is able to do slice-level multithreading
-   * @param {Boolean} encoders.experimental whether the encoder is experimental
-   * @param {Boolean} encoders.drawHorizBand whether the encoder supports draw_horiz_band
-   * @param {Boolean} encoders.directRendering whether the encoder supports direct encoding method 1
+   * @method MencoderCommand#availableVideoFilters
+   * @category Capabilities
+   * @aliases getAvailableVideoFilters
+   *
+   * @param {MencoderCommand~listingCallback} callback callback function
    */
+  proto.availableVideoFilters =
+  proto.getAvailableVideoFilters = function(callback) {
+    this._getListing('videoFilters', ['-vf', 'help'], callback);
+  };
+
 
   /**
-   * Query mencoder for available encoders
+   * Query mencoder for available audio filters
    *
-   * @method MencoderCommand#availableEncoders
+   * @method MencoderCommand#availableAudioFilters
    * @category Capabilities
-   * @aliases getAvailableEncoders
+   * @aliases getAvailableAudioFilters
    *
-   * @param {MencoderCommand~encodersCallback} callback callback function
+   * @param {MencoderCommand~listingCallback} callback callback function
    */
-  proto.availableEncoders =
-  proto.getAvailableEncoders = function(callback) {
-    if ('encoders' in cache) {
-      return callback(null, cache.encoders);
-    }
-
-    this._spawnMencoder(['-encoders'], { captureStdout: true }, function(err, stdout) {
-      if (err) {
-        return callback(err);
-      }
+  proto.availableAudioFilters =
+  proto.getAvailableAudioFilters = function(callback) {
+    this._getListing('audioFilters', ['-af', 'help'], callback);
+  };
 
-      var lines = stdout.split(lineBreakRegexp);
-      var data = {};
-
-      lines.forEach(function(line) {
-        var match = line.match(encodersRegexp);
-        if (match && match[7] !== '=') {
-          data[match[7]] = {
-            type: { 'V': 'video', 'A': 'audio', 'S': 'subtitle' }[match[1]],
-            description: match[8],
-            frameMT: match[2] === 'F',
-            sliceMT: match[3] === 'S',
-            experimental: match[4] === 'X',
-            drawHorizBand: match[5] === 'B',
-            directRendering: match[6] === 'D'
-          };
-        }
-      });
 
-      callback(null, cache.encoders = data);
-    });
+  /**
+   * Query mencoder for available libavcodec video codecs (-lavcopts vcodec values)
+   *
+   * @method MencoderCommand#availableLavcCodecs
+   * @category Capabilities
+   * @aliases getAvailableLavcCodecs
+   *
+   * @param {MencoderCommand~listingCallback} callback callback function
+   */
+  proto.availableLavcCodecs =
+  proto.getAvailableLavcCodecs = function(callback) {
+    this._getListing('lavcCodecs', ['-ovc', 'lavc', '-lavcopts', 'vcodec=help'], callback);
   };
 
 
   /**
-   * A callback passed to {@link MencoderCommand#availableFormats}.
+   * A callback passed to {@link MencoderCommand#availableEncoders} and
+   * {@link MencoderCommand#availableFilters}.
    *
-   * @callback MencoderCommand~formatCallback
+   * @callback MencoderCommand~typedListingCallback
    * @param {Error|null} err error object or null if no error happened
-   * @param {Object} formats format object with format names as keys and the following
-   *   properties for each format:
-   * @param {String} formats.description format description
-   * @param {Boolean} formats.canDemux whether the format is able to demux streams from an input file
-   * @param {Boolean} formats.canMux whether the format is able to mux streams into an output file
+   * @param {Object} listing object with component names as keys and the following
+   *   properties for each component:
+   * @param {String} listing.description component description
+   * @param {String} listing.type 'audio' or 'video'
    */
 
   /**
-   * Query mencoder for available formats
+   * Query mencoder for available video and audio encoders
+   *
+   * Names available both as video and audio encoders (eg. 'lavc', 'copy') are reported as
+   * video encoders; use {@link MencoderCommand#availableVideoEncoders} and
+   * {@link MencoderCommand#availableAudioEncoders} to tell them apart.
    *
-   * @method MencoderCommand#availableFormats
+   * @method MencoderCommand#availableEncoders
    * @category Capabilities
-   * @aliases getAvailableFormats
+   * @aliases getAvailableEncoders,availableCodecs,getAvailableCodecs
    *
-   * @param {MencoderCommand~formatCallback} callback callback function
+   * @param {MencoderCommand~typedListingCallback} callback callback function
    */
-  proto.availableFormats =
-  proto.getAvailableFormats = function(callback) {
-    if ('formats' in cache) {
-      return callback(null, cache.formats);
-    }
-
-    // Run mencoder -formats
-    this._spawnMencoder(['-formats'], { captureStdout: true }, function (err, stdout) {
-      if (err) {
-        return callback(err);
-      }
-
-      // Parse output
-      var lines = stdout.split(lineBreakRegexp);
-      var data = {};
-
-      lines.forEach(function(line) {
-        var match = line.match(formatRegexp);
-        if (match) {
-          match[3].split(',').forEach(function(format) {
-            if (!(format in data)) {
-              data[format] = {
-                description: match[4],
-                canDemux: false,
-                canMux: false
-              };
-            }
+  proto.availableCodecs =
+  proto.getAvailableCodecs =
+  proto.availableEncoders =
+  proto.getAvailableEncoders = function(callback) {
+    mergeListings(this, 'availableVideoEncoders', 'availableAudioEncoders', callback);
+  };
 
-            if (match[1] === 'D') {
-              data[format].canDemux = true;
-            }
-            if (match[2] === 'E') {
-              data[format].canMux = true;
-            }
-          });
-        }
-      });
 
-      callback(null, cache.formats = data);
-    });
+  /**
+   * Query mencoder for available video and audio filters
+   *
+   * @method MencoderCommand#availableFilters
+   * @category Capabilities
+   * @aliases getAvailableFilters
+   *
+   * @param {MencoderCommand~typedListingCallback} callback callback function
+   */
+  proto.availableFilters =
+  proto.getAvailableFilters = function(callback) {
+    mergeListings(this, 'availableVideoFilters', 'availableAudioFilters', callback);
   };
 
 
   /**
    * Check capabilities before executing a command
    *
-   * Checks whether all used codecs and formats are indeed available
+   * Checks whether all used encoders, muxers and filters are available, including filters
+   * added by size, deinterlacing and crop helpers.  Only the listings needed by the command
+   * are queried.
    *
    * @method MencoderCommand#_checkCapabilities
-   * @param {Function} callback callback with signature (err)
+   * @param {Function} callback callback with signature (err, problems), where 'problems'
+   *   is a list of error messages
    * @private
    */
   proto._checkCapabilities = function(callback) {
     var self = this;
-    async.waterfall([
-      // Get available formats
-      function(cb) {
-        self.availableFormats(cb);
-      },
-
-      // Check whether specified formats are available
-      function(formats, cb) {
-        var unavailable;
-
-        // Output format(s)
-        unavailable = self._outputs
-          .reduce(function(fmts, output) {
-            var format = output.options.find('-f', 1);
-            if (format) {
-              if (!(format[0] in formats) || !(formats[format[0]].canMux)) {
-                fmts.push(format);
-              }
-            }
-
-            return fmts;
-          }, []);
+    var problems = [];
+    var checks = {
+      videoEncoders: { method: 'availableVideoEncoders', label: 'Video encoder', names: [] },
+      audioEncoders: { method: 'availableAudioEncoders', label: 'Audio encoder', names: [] },
+      muxers: { method: 'availableMuxers', label: 'Output format', names: [] },
+      videoFilters: { method: 'availableVideoFilters', label: 'Video filter', names: [] },
+      audioFilters: { method: 'availableAudioFilters', label: 'Audio filter', names: [] },
+      lavcCodecs: { method: 'availableLavcCodecs', label: 'libavcodec codec', names: [] }
+    };
+
+    function add(key, name) {
+      if (name && checks[key].names.indexOf(name) === -1) {
+        checks[key].names.push(name);
+      }
+    }
 
-        if (unavailable.length === 1) {
-          return cb(new Error('Output format ' + unavailable[0] + ' is not available'));
-        } else if (unavailable.length > 1) {
-          return cb(new Error('Output formats ' + unavailable.join(', ') + ' are not available'));
-        }
+    function filterName(filter) {
+      return filter.split('=')[0];
+    }
 
-        // Input format(s)
-        unavailable = self._inputs
-          .reduce(function(fmts, input) {
-            var format = input.options.find('-f', 1);
-            if (format) {
-              if (!(format[0] in formats) || !(formats[format[0]].canDemux)) {
-                fmts.push(format[0]);
-              }
-            }
+    this._outputs.forEach(function(output) {
+      var vcodec = output.video.find('-ovc', 1);
+      var acodec = output.audio.find('-oac', 1);
+      var format = output.options.find('-of', 1);
+      var lavcopts = output.encoderOptions.lavcopts || {};
 
-            return fmts;
-          }, []);
+      add('videoEncoders', vcodec && vcodec[0]);
+      add('audioEncoders', acodec && acodec[0]);
+      add('muxers', format && format[0]);
 
-        if (unavailable.length === 1) {
-          return cb(new Error('Input format ' + unavailable[0] + ' is not available'));
-        } else if (unavailable.length > 1) {
-          return cb(new Error('Input formats ' + unavailable.join(', ') + ' are not available'));
-        }
+      if (vcodec && vcodec[0] === 'lavc') {
+        add('lavcCodecs', lavcopts.vcodec);
+      }
 
-        cb();
-      },
+      output.videoFilters.get().map(filterName).forEach(function(name) {
+        add('videoFilters', name);
+      });
 
-      // Get available codecs
-      function(cb) {
-        self.availableEncoders(cb);
-      },
+      // Filters added by size(), deinterlace() and autoCrop()
+      output.sizeFilters.get().forEach(function(filter) {
+        add('videoFilters', typeof filter === 'string' ? filterName(filter) : filter.filter);
+      });
 
-      // Check whether specified codecs are available and add strict experimental options if needed
-      function(encoders, cb) {
-        var unavailable;
+      self._getDeinterlacingFilters(output).map(filterName).forEach(function(name) {
+        add('videoFilters', name);
+      });
 
-        // Audio codec(s)
-        unavailable = self._outputs.reduce(function(cdcs, output) {
-          var acodec = output.audio.find('-acodec', 1);
-          if (acodec && acodec[0] !== 'copy') {
-            if (!(acodec[0] in encoders) || encoders[acodec[0]].type !== 'audio') {
-              cdcs.push(acodec[0]);
-            }
-          }
+      if (output.flags.autocrop) {
+        add('videoFilters', 'cropdetect');
+        add('videoFilters', 'crop');
+      }
 
-          return cdcs;
-        }, []);
+      output.audioFilters.get().map(filterName).forEach(function(name) {
+        add('audioFilters', name);
+      });
+    });
 
-        if (unavailable.length === 1) {
-          return cb(new Error('Audio codec ' + unavailable[0] + ' is not available'));
-        } else if (unavailable.length > 1) {
-          return cb(new Error('Audio codecs ' + unavailable.join(', ') + ' are not available'));
-        }
+    async.eachSeries(
+      Object.keys(checks).filter(function(key) {
+        return checks[key].names.length;
+      }),
+      function(key, cb) {
+        var check = checks[key];
 
-        // Video codec(s)
-        unavailable = self._outputs.reduce(function(cdcs, output) {
-          var vcodec = output.video.find('-vcodec', 1);
-          if (vcodec && vcodec[0] !== 'copy') {
-            if (!(vcodec[0] in encoders) || encoders[vcodec[0]].type !== 'video') {
-              cdcs.push(vcodec[0]);
-            }
+        self[check.method](function(err, available) {
+          if (err) {
+            // Don't prevent processing when mencoder output can't be parsed
+            self.logger.warn('Could not check capabilities: ' + err.message);
+            return cb();
           }
 
-          return cdcs;
-        }, []);
+          var unavailable = check.names.filter(function(name) {
+            return !(name in available);
+          });
 
-        if (unavailable.length === 1) {
-          return cb(new Error('Video codec ' + unavailable[0] + ' is not available'));
-        } else if (unavailable.length > 1) {
-          return cb(new Error('Video codecs ' + unavailable.join(', ') + ' are not available'));
-        }
+          if (unavailable.length === 1) {
+            problems.push(check.label + ' ' + unavailable[0] + ' is not available');
+          } else if (unavailable.length > 1) {
+            problems.push(check.label + 's ' + unavailable.join(', ') + ' are not available');
+          }
 
-        cb();
+          cb();
+        });
+      },
+      function(err) {
+        callback(err, problems);
       }
-    ], callback);
+    );
   };
 };
@@ -0,0 +1,302 @@
+/*jshint node:true*/
+'use strict';
+
+var encoders = require('./encoders');
+
+/*
+ *! Output container helpers
+ */
+
+/*
+ * Container profiles, keyed by profile name.
+ *
+ * Each profile has an 'of' muxer name, optional default 'mpegopts'/'lavfopts'
+ * muxer options, and optional 'video'/'audio' lists of allowed codecs (see
+ * getCodecs() for codec names).  Profiles without a codec list accept any codec.
+ * 'noAudio' and 'noVideo' profiles only contain a single stream.
+ */
+var profiles = {
+  avi: { of: 'avi' },
+
+  mpeg: {
+    of: 'mpeg',
+    mpegopts: { format: 'mpeg2' },
+    video: ['mpeg1video', 'mpeg2video'],
+    audio: ['mp2', 'mp3', 'ac3', 'pcm']
+  },
+
+  mpeg1: {
+    of: 'mpeg',
+    mpegopts: { format: 'mpeg1' },
+    video: ['mpeg1video'],
+    audio: ['mp2', 'mp3']
+  },
+
+  vcd: {
+    of: 'mpeg',
+    mpegopts: { format: 'xvcd' },
+    video: ['mpeg1video'],
+    audio: ['mp2']
+  },
+
+  svcd: {
+    of: 'mpeg',
+    mpegopts: { format: 'xsvcd' },
+    video: ['mpeg2video'],
+    audio: ['mp2']
+  },
+
+  dvd: {
+    of: 'mpeg',
+    mpegopts: { format: 'dvd', tsaf: true },
+    video: ['mpeg2video'],
+    audio: ['ac3', 'mp2', 'pcm']
+  },
+
+  rawvideo: { of: 'rawvideo', noAudio: true },
+  rawaudio: { of: 'rawaudio', noVideo: true },
+
+  mp4: {
+    of: 'lavf',
+    lavfopts: { format: 'mp4' },
+    video: ['h264', 'mpeg4', 'h263'],
+    audio: ['aac', 'mp3']
+  },
+
+  mkv: {
+    of: 'lavf',
+    lavfopts: { format: 'matroska' }
+  },
+
+  flv: {
+    of: 'lavf',
+    lavfopts: { format: 'flv' },
+    video: ['flv', 'h264'],
+    audio: ['mp3', 'aac', 'adpcm_swf']
+  },
+
+  webm: {
+    of: 'lavf',
+    lavfopts: { format: 'webm' },
+    video: ['vp8'],
+    audio: ['vorbis']
+  }
+};
+
+// Muxers supported by mencoder -of
+var muxers = ['avi', 'mpeg', 'lavf', 'rawvideo', 'rawaudio'];
+
+// Muxers and libavformat formats that seek back into the output file (eg. to write an index)
+var seekingMuxers = ['avi'];
+var seekingFormats = ['avi', 'mp4', 'mov', 'ipod', '3gp', '3g2', 'psp'];
+
+// Codec names for -ovc/-oac encoders and lavc codecs, when they differ
+var codecNames = {
+  x264: 'h264',
+  xvid: 'mpeg4',
+  mp3lame: 'mp3',
+  faac: 'aac',
+  twolame: 'mp2',
+  toolame: 'mp2',
+  libx264: 'h264',
+  libxvid: 'mpeg4',
+  libvpx: 'vp8',
+  libmp3lame: 'mp3',
+  libfaac: 'aac',
+  libvorbis: 'vorbis'
+};
+
+
+/**
+ * Get output codec names
+ *
+ * Returns null for a stream type when it is disabled, and undefined when the
+ * codec is unknown (no encoder, or stream copy).
+ *
+ * @param {Object} output output specification
+ * @return Object with 'video' and 'audio' codec names
+ * @private
+ */
+function getCodecs(output) {
+  var lavcopts = output.encoderOptions.lavcopts || {};
+  var vcodec = output.video.find('-ovc', 1);
+  var acodec = output.audio.find('-oac', 1);
+
+  function name(codec, lavcCodec) {
+    if (!codec || codec[0] === 'copy') {
+      return undefined;
+    }
+
+    codec = codec[0] === 'lavc' ? lavcCodec : codec[0];
+    return codec in codecNames ? codecNames[codec] : codec;
+  }
+
+  return {
+    video: output.video.find('-novideo') ? null : name(vcodec, lavcopts.vcodec || 'mpeg4'),
+    audio: output.audio.find('-nosound') ? null : name(acodec, lavcopts.acodec || 'mp2')
+  };
+}
+
+
+module.exports = {
+  profiles: profiles,
+
+
+  /**
+   * Set output container
+   *
+   * 'name' can be a profile name, a mencoder muxer name, or a libavformat format name.
+   *
+   * @param {Object} output output specification
+   * @param {String} name container name
+   * @private
+   */
+  set: function(output, name) {
+    if (typeof name !== 'string' || !name.match(/^[a-z0-9_]+$/)) {
+      throw new Error('Invalid output format: ' + name);
+    }
+
+    output.options.remove('-of', 1);
+
+    // Forget formats from previous calls
+    ['mpegopts', 'lavfopts'].forEach(function(name) {
+      if (output.encoderOptions[name]) {
+        delete output.encoderOptions[name].format;
+      }
+    });
+
+    if (name in profiles) {
+      output.container = name;
+      output.options('-of', profiles[name].of);
+    } else if (muxers.indexOf(name) !== -1) {
+      delete output.container;
+      output.options('-of', name);
+    } else {
+      // Use libavformat for other formats
+      delete output.container;
+      output.options('-of', 'lavf');
+      encoders.set(output, 'lavfopts', { format: name });
+    }
+  },
+
+
+  /**
+   * Check codec compatibility of an output with its container, and whether
+   * the container can be written to a stream output or store a video FourCC
+   *
+   * @param {Object} output output specification
+   * @param {Object} [pass] pass specification (see {@link MencoderCommand#_getArguments})
+   * @return list of problems, empty when codecs are compatible
+   * @private
+   */
+  check: function(output, pass) {
+    var profile = profiles[output.container] || {};
+    var problems = [];
+
+    if (profile.noAudio || profile.noVideo) {
+      var disabled = profile.noAudio ? 'audio' : 'video';
+      var codec = output[disabled].find(profile.noAudio ? '-oac' : '-ovc', 1);
+
+      if (codec) {
+        problems.push('Container ' + output.container + ' cannot contain ' + disabled + ' (' + codec[0] + ')');
+      }
+    }
+
+    var codecs = getCodecs(output);
+    var discardAudio = pass && !pass.last;
+
+    ['video', 'audio'].forEach(function(type) {
+      var codec = codecs[type];
+
+      if (profile[type] && codec && !(type === 'audio' && discardAudio) && profile[type].indexOf(codec) === -1) {
+        problems.push('Container ' + output.container + ' does not support ' + type + ' codec ' + codec +
+          ' (expected one of ' + profile[type].join(', ') + ')');
+      }
+    });
+
+    // mencoder defaults to the avi muxer
+    var muxer = (output.options.find('-of', 1) || ['avi'])[0];
+
+    if (output.video.find('-ffourcc', 1) && muxer !== 'avi') {
+      problems.push('FourCC can only be set for AVI outputs');
+    }
+
+    // First passes are written to the null device
+    if (output.target && typeof output.target !== 'string' && !discardAudio) {
+      var format = muxer === 'lavf' ?
+        (output.encoderOptions.lavfopts || {}).format || (profile.lavfopts || {}).format :
+        muxer;
+
+      if (seekingMuxers.indexOf(muxer) !== -1 || (muxer === 'lavf' && seekingFormats.indexOf(format) !== -1)) {
+        problems.push('Output format ' + (output.container || format || muxer) +
+          ' cannot be written to a stream, it needs a seekable output');
+      }
+    }
+
+    return problems;
+  },
+
+
+  /**
+   * Build muxer arguments for an output and check codec compatibility
+   *
+   * Profile muxer options are used as defaults for options set with
+   * {@link MencoderCommand#mpegOptions} and {@link MencoderCommand#lavfOptions}.
+   *
+   * @param {Object} output output specification
+   * @param {Object} [pass] pass specification (see {@link MencoderCommand#_getArguments})
+   * @return argument list
+   * @private
+   */
+  getArguments: function(output, pass) {
+    var profile = profiles[output.container] || {};
+    var muxer = output.options.find('-of', 1);
+    var problems = this.check(output, pass);
+    var args = [];
+
+    if (problems.length) {
+      throw new Error(problems[0]);
+    }
+
+    if (profile.noAudio && !output.audio.find('-nosound')) {
+      args.push('-nosound');
+    } else if (profile.noVideo && !output.video.find('-novideo')) {
+      args.push('-novideo');
+    }
+
+    // Muxer options
+    [
+      { muxer: 'mpeg', name: 'mpegopts' },
+      { muxer: 'lavf', name: 'lavfopts' }
+    ].forEach(function(spec) {
+      if (!muxer || muxer[0] !== spec.muxer) {
+        return;
+      }
+
+      var options = {};
+      var defaults = profile[spec.name] || {};
+      var current = output.encoderOptions[spec.name] || {};
+
+      Object.keys(defaults).forEach(function(key) {
+        options[key] = defaults[key];
+      });
+
+      Object.keys(current).forEach(function(key) {
+        options[key] = current[key];
+      });
+
+      // Muxers have no 'nooption' syntax, disabled flags are left out
+      Object.keys(options).forEach(function(key) {
+        if (options[key] === false) {
+          delete options[key];
+        }
+      });
+
+      if (Object.keys(options).length) {
+        args.push('-' + spec.name, encoders.makeOptionString(options));
+      }
+    });
+
+    return args;
+  }
+};
@@ -0,0 +1,529 @@
+/*jshint node:true*/
+'use strict';
+
+/*
+ *! Encoder option helpers
+ */
+
+var lavcVideoCodecs = [
+  'asv1', 'asv2', 'dvvideo', 'ffv1', 'ffvhuff', 'flv', 'h261', 'h263', 'h263p',
+  'huffyuv', 'libtheora', 'libvpx', 'libx264', 'libxvid', 'ljpeg', 'mjpeg',
+  'mpeg1video', 'mpeg2video', 'mpeg4', 'msmpeg4', 'msmpeg4v2', 'roqvideo', 'rv10',
+  'snow', 'svq1', 'wmv1', 'wmv2'
+];
+
+var lavcAudioCodecs = [
+  'ac3', 'adpcm_ima_wav', 'adpcm_ms', 'adpcm_swf', 'adpcm_yamaha', 'flac', 'g726',
+  'libfaac', 'libgsm', 'libgsm_ms', 'libmp3lame', 'libvorbis', 'mp2', 'roq_dpcm',
+  'sonic', 'sonicls', 'vorbis', 'wmav1', 'wmav2'
+];
+
+var x264Presets = [
+  'ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow',
+  'slower', 'veryslow', 'placebo'
+];
+
+var x264Tunes = [
+  'film', 'animation', 'grain', 'stillimage', 'psnr', 'ssim', 'fastdecode', 'zerolatency'
+];
+
+var x264Profiles = ['baseline', 'main', 'high', 'high10', 'high422', 'high444'];
+
+var x264Levels = [
+  '1', '1b', '1.1', '1.2', '1.3', '2', '2.1', '2.2', '3', '3.1', '3.2',
+  '4', '4.1', '4.2', '5', '5.1', '5.2'
+];
+
+var mpegAudioModes = ['stereo', 'jstereo', 'mono', 'dual'];
+
+/*
+ * Option specifications, keyed by mencoder option name (without the leading dash).
+ *
+ * Each option has a 'type' ('int', 'float', 'flag' or 'string') and optionally
+ * 'min'/'max' bounds (numbers) or a 'values' list (strings, also accepted as-is
+ * for numeric options).  Setting an option removes the options listed in its
+ * 'conflicts' array.
+ */
+var specs = {
+  lavcopts: {
+    vcodec: { type: 'string', values: lavcVideoCodecs },
+    vbitrate: { type: 'int', min: 4, max: 24000000 },
+    vqscale: { type: 'float', min: 1, max: 31 },
+    vqmin: { type: 'int', min: 1, max: 31 },
+    vqmax: { type: 'int', min: 1, max: 31 },
+    vqdiff: { type: 'int', min: 1, max: 31 },
+    vqcomp: { type: 'float', min: 0, max: 1 },
+    vqblur: { type: 'float', min: 0, max: 1 },
+    vmax_b_frames: { type: 'int', min: 0, max: 16 },
+    vb_strategy: { type: 'int', min: 0, max: 2 },
+    vrc_minrate: { type: 'int', min: 0 },
+    vrc_maxrate: { type: 'int', min: 0 },
+    vrc_buf_size: { type: 'int', min: 0 },
+    vratetol: { type: 'int', min: 0 },
+    vpass: { type: 'int', min: 1, max: 3 },
+    keyint: { type: 'int', min: 0 },
+    mbd: { type: 'int', min: 0, max: 2 },
+    cmp: { type: 'int', min: 0, max: 2000 },
+    subcmp: { type: 'int', min: 0, max: 2000 },
+    mbcmp: { type: 'int', min: 0, max: 2000 },
+    precmp: { type: 'int', min: 0, max: 2000 },
+    dia: { type: 'int', min: -99, max: 6 },
+    predia: { type: 'int', min: -99, max: 6 },
+    preme: { type: 'int', min: 0, max: 2 },
+    last_pred: { type: 'int', min: 0, max: 99 },
+    lumi_mask: { type: 'float', min: 0, max: 1 },
+    dark_mask: { type: 'float', min: 0, max: 1 },
+    scplx_mask: { type: 'float', min: 0, max: 1 },
+    tcplx_mask: { type: 'float', min: 0, max: 1 },
+    threads: { type: 'int', min: 1, max: 16 },
+    vstrict: { type: 'int', min: -2, max: 1 },
+    aspect: { type: 'string' },
+    trell: { type: 'flag' },
+    v4mv: { type: 'flag' },
+    mv0: { type: 'flag' },
+    cbp: { type: 'flag' },
+    qpel: { type: 'flag' },
+    naq: { type: 'flag' },
+    ildct: { type: 'flag' },
+    ilme: { type: 'flag' },
+    gray: { type: 'flag' },
+    psnr: { type: 'flag' },
+    turbo: { type: 'flag' },
+    autoaspect: { type: 'flag' },
+    vglobal: { type: 'int', min: 0, max: 3 },
+    acodec: { type: 'string', values: lavcAudioCodecs },
+    abitrate: { type: 'int', min: 1, max: 640 },
+    aglobal: { type: 'int', min: 0, max: 3 }
+  },
+
+  x264encopts: {
+    crf: { type: 'float', min: 0, max: 51, conflicts: ['bitrate', 'qp'] },
+    qp: { type: 'int', min: 0, max: 69, conflicts: ['bitrate', 'crf'] },
+    bitrate: { type: 'int', min: 1, conflicts: ['crf', 'qp'] },
+    vbv_maxrate: { type: 'int', min: 0 },
+    vbv_bufsize: { type: 'int', min: 0 },
+    preset: { type: 'string', values: x264Presets },
+    tune: { type: 'string', values: x264Tunes },
+    profile: { type: 'string', values: x264Profiles },
+    level: { type: 'string', values: x264Levels },
+    threads: { type: 'int', min: 0, max: 128, values: ['auto'] },
+    keyint: { type: 'int', min: 1 },
+    keyint_min: { type: 'int', min: 1 },
+    bframes: { type: 'int', min: 0, max: 16 },
+    ref: { type: 'int', min: 1, max: 16 },
+    subme: { type: 'int', min: 0, max: 11 },
+    pass: { type: 'int', min: 1, max: 3 },
+    turbo: { type: 'int', min: 0, max: 2 }
+  },
+
+  xvidencopts: {
+    bitrate: { type: 'int', min: 1, conflicts: ['fixed_quant'] },
+    fixed_quant: { type: 'float', min: 1, max: 31, conflicts: ['bitrate'] },
+    vbv_maxrate: { type: 'int', min: 0 },
+    vbv_bufsize: { type: 'int', min: 0 },
+    pass: { type: 'int', min: 1, max: 2 },
+    me_quality: { type: 'int', min: 0, max: 6 },
+    vhq: { type: 'int', min: 0, max: 4 },
+    chroma_opt: { type: 'flag' },
+    max_bframes: { type: 'int', min: 0, max: 4 },
+    trellis: { type: 'flag' },
+    cartoon: { type: 'flag' },
+    greyscale: { type: 'flag' },
+    autoaspect: { type: 'flag' },
+    threads: { type: 'int', min: 1, max: 16 }
+  },
+
+  lameopts: {
+    cbr: { type: 'flag', conflicts: ['abr', 'vbr'] },
+    abr: { type: 'flag', conflicts: ['cbr', 'vbr'] },
+    vbr: { type: 'int', min: 0, max: 4, conflicts: ['cbr', 'abr'] },
+    br: { type: 'int', min: 0, max: 1024 },
+    q: { type: 'int', min: 0, max: 9 },
+    aq: { type: 'int', min: 0, max: 9 },
+    ratio: { type: 'int', min: 1, max: 50 },
+    vol: { type: 'float', min: 0, max: 10 },
+    mode: { type: 'int', min: 0, max: 3 },
+    padding: { type: 'int', min: 0, max: 2 },
+    fast: { type: 'flag' },
+    preset: { type: 'int', min: 8, max: 320, values: ['medium', 'standard', 'extreme', 'insane'] }
+  },
+
+  faacopts: {
+    br: { type: 'int', min: 1, max: 576, conflicts: ['quality'] },
+    quality: { type: 'int', min: 10, max: 500, conflicts: ['br'] },
+    mpeg: { type: 'string', values: ['2', '4'] },
+    object: { type: 'int', min: 1, max: 4 },
+    cutoff: { type: 'int', min: 0 },
+    tns: { type: 'flag' },
+    raw: { type: 'flag' }
+  },
+
+  twolameopts: {
+    br: { type: 'int', min: 8, max: 384 },
+    mode: { type: 'string', values: mpegAudioModes },
+    psy: { type: 'int', min: -1, max: 4 },
+    errprot: { type: 'int', min: 0, max: 1 },
+    vbr: { type: 'float', min: -50, max: 50 },
+    maxvbr: { type: 'int', min: 32, max: 384 },
+    vol: { type: 'float', min: 0, max: 10 }
+  },
+
+  toolameopts: {
+    br: { type: 'int', min: 32, max: 384 },
+    mode: { type: 'string', values: mpegAudioModes },
+    psy: { type: 'int', min: -1, max: 4 },
+    errprot: { type: 'int', min: 0, max: 1 },
+    vbr: { type: 'float', min: -50, max: 50 },
+    maxvbr: { type: 'int', min: 32, max: 384 }
+  },
+
+  // Muxer options (see containers.js)
+  mpegopts: {
+    format: { type: 'string', values: ['mpeg1', 'mpeg2', 'xvcd', 'xsvcd', 'dvd', 'pes1', 'pes2'] },
+    size: { type: 'int', min: 0 },
+    muxrate: { type: 'int', min: 0 },
+    tsaf: { type: 'flag' },
+    interleaving2: { type: 'flag' },
+    vdelay: { type: 'int', min: 0 },
+    adelay: { type: 'int', min: 0 },
+    drop: { type: 'flag' },
+    vwidth: { type: 'int', min: 1 },
+    vheight: { type: 'int', min: 1 },
+    vpswidth: { type: 'int', min: 1 },
+    vpsheight: { type: 'int', min: 1 },
+    vaspect: { type: 'string', values: ['1', '4/3', '16/9', '221/100'] },
+    vbitrate: { type: 'int', min: 1 },
+    vframerate: { type: 'string', values: ['23.976', '24', '25', '29.97', '30', '50', '59.94', '60'] },
+    telecine: { type: 'flag', conflicts: ['film2pal'] },
+    film2pal: { type: 'flag', conflicts: ['telecine'] },
+    skip_padding: { type: 'flag' }
+  },
+
+  lavfopts: {
+    format: { type: 'string' },
+    i_certify_that_my_video_stream_does_not_use_b_frames: { type: 'flag' },
+    muxrate: { type: 'int', min: 0 },
+    packetsize: { type: 'int', min: 0 },
+    preload: { type: 'float', min: 0 },
+    delay: { type: 'float', min: 0 }
+  }
+};
+
+/*
+ * Where generic settings (eg. videoBitrate(), audioQuality()) go for each encoder
+ */
+var videoEncoders = {
+  lavc: {
+    options: 'lavcopts',
+    pass: 'vpass',
+    bitrate: function(bitrate, constant) {
+      var opts = { vbitrate: bitrate };
+
+      if (constant) {
+        opts.vrc_minrate = bitrate;
+        opts.vrc_maxrate = bitrate;
+        opts.vrc_buf_size = 3000;
+      }
+
+      return opts;
+    }
+  },
+
+  x264: {
+    options: 'x264encopts',
+    pass: 'pass',
+    bitrate: function(bitrate, constant) {
+      var opts = { bitrate: bitrate };
+
+      if (constant) {
+        opts.vbv_maxrate = bitrate;
+        opts.vbv_bufsize = bitrate;
+      }
+
+      return opts;
+    }
+  },
+
+  xvid: {
+    options: 'xvidencopts',
+    pass: 'pass',
+    bitrate: function(bitrate, constant) {
+      var opts = { bitrate: bitrate };
+
+      if (constant) {
+        // XviD expects VBV settings in bits
+        opts.vbv_maxrate = bitrate * 1000;
+        opts.vbv_bufsize = bitrate * 1000;
+      }
+
+      return opts;
+    }
+  }
+};
+
+var audioEncoders = {
+  lavc: {
+    options: 'lavcopts',
+    bitrate: function(bitrate) {
+      return { abitrate: bitrate };
+    }
+  },
+
+  mp3lame: {
+    options: 'lameopts',
+    bitrate: function(bitrate) {
+      return { cbr: true, br: bitrate };
+    },
+    quality: function(quality) {
+      return { vbr: 2, q: quality };
+    }
+  },
+
+  faac: {
+    options: 'faacopts',
+    bitrate: function(bitrate) {
+      return { br: bitrate };
+    },
+    quality: function(quality) {
+      return { quality: quality };
+    }
+  },
+
+  twolame: {
+    options: 'twolameopts',
+    bitrate: function(bitrate) {
+      return { br: bitrate };
+    },
+    quality: function(quality) {
+      return { vbr: quality };
+    }
+  },
+
+  toolame: {
+    options: 'toolameopts',
+    bitrate: function(bitrate) {
+      return { br: bitrate };
+    },
+    quality: function(quality) {
+      return { vbr: quality };
+    }
+  }
+};
+
+
+/**
+ * Validate an encoder option value
+ *
+ * @param {String} name encoder option name (eg. 'lavcopts')
+ * @param {String} key option key
+ * @param {Number|String|Boolean} value option value
+ * @return normalized value
+ * @private
+ */
+function checkValue(name, key, value) {
+  var spec = specs[name][key];
+
+  if (!spec) {
+    throw new Error('Unknown ' + name + ' option: ' + key);
+  }
+
+  switch (spec.type) {
+    case 'flag':
+      if (typeof value !== 'boolean') {
+        throw new Error('Invalid ' + name + ' option ' + key + ': expected a boolean');
+      }
+
+      return value;
+
+    case 'string':
+      value = '' + value;
+
+      if (spec.values && spec.values.indexOf(value) === -1) {
+        throw new Error('Invalid ' + name + ' option ' + key + ': ' + value +
+          ' (expected one of ' + spec.values.join(', ') + ')');
+      }
+
+      if (value.match(/[:=\s]/)) {
+        throw new Error('Invalid ' + name + ' option ' + key + ': ' + value);
+      }
+
+      return value;
+
+    default:
+      if (spec.values && spec.values.indexOf(value) !== -1) {
+        return value;
+      }
+
+      var number = Number(value);
+
+      if (typeof value === 'boolean' || value === '' || isNaN(number) ||
+        (spec.type === 'int' && Math.floor(number) !== number)) {
+        throw new Error('Invalid ' + name + ' option ' + key + ': ' + value +
+          ' (expected ' + (spec.type === 'int' ? 'an integer' : 'a number') + ')');
+      }
+
+      if (('min' in spec && number < spec.min) || ('max' in spec && number > spec.max)) {
+        throw new Error('Invalid ' + name + ' option ' + key + ': ' + value +
+          ' is out of range (' + ('min' in spec ? spec.min : '') + '..' + ('max' in spec ? spec.max : '') + ')');
+      }
+
+      return number;
+  }
+}
+
+
+var encoders = module.exports = {
+  /**
+   * Validate encoder options and merge them into an output
+   *
+   * Options are merged with options from previous calls for the same output,
+   * later values overriding earlier ones.
+   *
+   * @param {Object} output output specification
+   * @param {String} name encoder option name (eg. 'lavcopts')
+   * @param {Object} options option object
+   * @private
+   */
+  set: function(output, name, options) {
+    if (!options || typeof options !== 'object') {
+      throw new Error('Invalid ' + name + ': expected an option object');
+    }
+
+    var current = output.encoderOptions[name] = output.encoderOptions[name] || {};
+
+    // Validate everything before changing anything
+    var checked = Object.keys(options).reduce(function(checked, key) {
+      checked[key] = checkValue(name, key, options[key]);
+      return checked;
+    }, {});
+
+    Object.keys(checked).forEach(function(key) {
+      (specs[name][key].conflicts || []).forEach(function(conflict) {
+        delete current[conflict];
+      });
+
+      current[key] = checked[key];
+    });
+  },
+
+
+  /**
+   * Generate an encoder option string
+   *
+   * Flags are rendered as 'flag' or 'noflag', other options as 'key=value'.
+   *
+   * @param {Object} options option object
+   * @return String
+   * @private
+   */
+  makeOptionString: function(options) {
+    return Object.keys(options).map(function(key) {
+      var value = options[key];
+
+      if (typeof value === 'boolean') {
+        return value ? key : 'no' + key;
+      } else {
+        return key + '=' + value;
+      }
+    }).join(':');
+  },
+
+
+  /**
+   * Build encoder option arguments for an output
+   *
+   * Generic settings (such as the video bitrate) are translated into options
+   * for the selected encoder and validated like them.  Options set explicitly by
+   * the user take precedence.
+   * Options for encoders that are not selected are left out.
+   *
+   * When building arguments for a multi-pass encode, the pass number is set on the
+   * video encoder, and audio options are left out for passes that discard audio.
+   *
+   * @param {Object} output output specification
+   * @param {Object} [pass] pass specification (see {@link MencoderCommand#_getArguments})
+   * @return argument list
+   * @private
+   */
+  getArguments: function(output, pass) {
+    var discardAudio = pass && !pass.last;
+    var vcodec = output.video.find('-ovc', 1);
+    var acodec = discardAudio ? null : output.audio.find('-oac', 1);
+    var videoEncoder = vcodec ? videoEncoders[vcodec[0]] : null;
+    var audioEncoder = acodec ? audioEncoders[acodec[0]] : null;
+    var options = {};
+
+    Object.keys(output.encoderOptions).forEach(function(name) {
+      options[name] = {};
+
+      Object.keys(output.encoderOptions[name]).forEach(function(key) {
+        options[name][key] = output.encoderOptions[name][key];
+      });
+    });
+
+    function merge(name, generic) {
+      var opts = options[name] = options[name] || {};
+
+      Object.keys(generic).forEach(function(key) {
+        var conflicts = specs[name][key].conflicts || [];
+        var overridden = (key in opts) || conflicts.some(function(conflict) {
+          return conflict in opts;
+        });
+
+        if (!overridden) {
+          opts[key] = checkValue(name, key, generic[key]);
+        }
+      });
+    }
+
+    if ('videoBitrate' in output.encoding) {
+      if (!vcodec) {
+        throw new Error('Cannot set video bitrate without a video codec');
+      } else if (!videoEncoder) {
+        throw new Error('Cannot set video bitrate with video codec ' + vcodec[0]);
+      }
+
+      merge(videoEncoder.options, videoEncoder.bitrate(output.encoding.videoBitrate, output.encoding.constantBitrate));
+    }
+
+    if (pass) {
+      if (!videoEncoder || !videoEncoder.pass) {
+        throw new Error('Multi-pass encoding is not supported with video codec ' + (vcodec ? vcodec[0] : '(none)'));
+      }
+
+      options[videoEncoder.options] = options[videoEncoder.options] || {};
+      options[videoEncoder.options][videoEncoder.pass] = checkValue(videoEncoder.options, videoEncoder.pass, pass.number);
+    }
+
+    [
+      { setting: 'audioBitrate', type: 'bitrate', label: 'audio bitrate' },
+      { setting: 'audioQuality', type: 'quality', label: 'audio quality' }
+    ].forEach(function(generic) {
+      if (discardAudio || !(generic.setting in output.encoding)) {
+        return;
+      }
+
+      if (!acodec) {
+        throw new Error('Cannot set ' + generic.label + ' without an audio codec');
+      } else if (!audioEncoder || !audioEncoder[generic.type]) {
+        throw new Error('Cannot set ' + generic.label + ' with audio codec ' + acodec[0]);
+      }
+
+      merge(audioEncoder.options, audioEncoder[generic.type](output.encoding[generic.setting]));
+    });
+
+    // Only pass options for the selected encoders
+    var active = [
+      videoEncoder ? videoEncoder.options : null,
+      audioEncoder ? audioEncoder.options : null
+    ];
+
+    return Object.keys(options).reduce(function(args, name) {
+      if (active.indexOf(name) !== -1 && Object.keys(options[name]).length) {
+        args.push('-' + name, encoders.makeOptionString(options[name]));
+      }
+
+      return args;
+    }, []);
+  }
+};
@@ -0,0 +1,113 @@
+/*jshint node:true*/
+'use strict';
+
+var util = require('util');
+
+var nlRegexp = /\r\n|\r|\n/g;
+
+// Number of stderr lines kept in errors
+var stderrTailLength = 20;
+
+/*
+ * Known mencoder error messages, checked in order (the first match wins)
+ */
+var knownErrors = [
+  {
+    reason: 'missing-codec',
+    regexp: /cannot find codec|codec .* not (found|available)|no (audio|video) encoder \(-o[av]c\) selected|failed to open vdecoder|could not open (audio|video) codec|(audio|video) codec .* not found/i
+  },
+  {
+    reason: 'unknown-option',
+    regexp: /unknown (sub)?option|error parsing option|option .* (must be|is not|expects)|invalid (value|argument) for option/i
+  },
+  {
+    reason: 'file-not-found',
+    regexp: /file not found|no such file or directory|cannot open file\/device|failed to open /i
+  },
+  {
+    reason: 'demuxer',
+    regexp: /cannot open demuxer|failed to recognize file format|video stream is mandatory|demux.*(error|failed)|unknown file format/i
+  }
+];
+
+
+/**
+ * Error raised when an mencoder process fails
+ *
+ * The 'reason' property classifies the failure:
+ * - 'missing-codec': an encoder or decoder is not available
+ * - 'unknown-option': mencoder rejected an option or suboption
+ * - 'file-not-found': an input file could not be opened
+ * - 'demuxer': the input format was not recognized or could not be read
+ * - 'timeout': processing ran into the command timeout
+ * - 'killed': mencoder was killed with a signal
+ * - 'output-stream-closed': the output stream was closed before processing ended
+ * - 'stream-error': the input or output stream emitted an error
+ * - 'unknown': any other failure
+ *
+ * Failures caused by a timeout or a signal are flagged as 'retryable'; other
+ * failures will most likely happen again with the same command.
+ *
+ * @constructor
+ * @param {String} message error message
+ * @param {Object} [details] error details
+ * @param {Number} [details.code] mencoder exit code
+ * @param {String} [details.signal] signal that killed mencoder
+ * @param {Array} [details.args] mencoder command line, starting with the mencoder path or
+ *   the 'nice' wrapper
+ * @param {String} [details.stderr] mencoder stderr output
+ * @param {String} [details.reason] failure reason, computed from stderr and signal when not specified
+ */
+function MencoderError(message, details) {
+  Error.call(this);
+  Error.captureStackTrace(this, MencoderError);
+
+  details = details || {};
+
+  this.name = 'MencoderError';
+  this.message = message;
+  this.code = typeof details.code === 'number' ? details.code : null;
+  this.signal = details.signal || null;
+  this.args = details.args || [];
+  this.stderr = MencoderError.tail(details.stderr || '');
+  this.reason = details.reason || MencoderError.classify(details.stderr || '', this.signal);
+  this.retryable = this.reason === 'timeout' || this.reason === 'killed';
+}
+
+util.inherits(MencoderError, Error);
+
+
+/**
+ * Classify an mencoder failure from its stderr output
+ *
+ * @param {String} stderr mencoder stderr output
+ * @param {String} [signal] signal that killed mencoder
+ * @return {String} failure reason
+ */
+MencoderError.classify = function(stderr, signal) {
+  if (signal) {
+    return 'killed';
+  }
+
+  var known = knownErrors.filter(function(known) {
+    return !!stderr.match(known.regexp);
+  })[0];
+
+  return known ? known.reason : 'unknown';
+};
+
+
+/**
+ * Return the last lines of an mencoder output
+ *
+ * @param {String} output mencoder output
+ * @return {String} last lines, without progress status lines
+ */
+MencoderError.tail = function(output) {
+  return output.split(nlRegexp).filter(function(line) {
+    return line.length && !line.match(/^Pos:/);
+  }).slice(-stderrTailLength).join('\n');
+};
+
+
+module.exports = MencoderError;
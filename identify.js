@@ -0,0 +1,529 @@
+/*jshint node:true*/
+'use strict';
+
+var spawn = require('child_process').spawn;
+var utils = require('./utils');
+
+var nullDevice = utils.isWindows ? 'NUL' : '/dev/null';
+
+/*
+ * ffprobe codec names for mplayer ID_VIDEO_FORMAT values (FourCCs, uppercased,
+ * or MPEG-ES pseudo format tags)
+ */
+var videoFormats = {
+  '0X10000001': 'mpeg1video',
+  '0X10000002': 'mpeg2video',
+  '0X10000004': 'mpeg4',
+  '0X10000005': 'h264',
+  MPG1: 'mpeg1video',
+  MPG2: 'mpeg2video',
+  AVC1: 'h264',
+  H264: 'h264',
+  X264: 'h264',
+  DAVC: 'h264',
+  XVID: 'mpeg4',
+  DIVX: 'mpeg4',
+  DX50: 'mpeg4',
+  FMP4: 'mpeg4',
+  MP4V: 'mpeg4',
+  DIV3: 'msmpeg4v3',
+  MP43: 'msmpeg4v3',
+  MJPG: 'mjpeg',
+  H263: 'h263',
+  FLV1: 'flv1',
+  WMV1: 'wmv1',
+  WMV2: 'wmv2',
+  WMV3: 'wmv3',
+  WVC1: 'vc1',
+  VP80: 'vp8',
+  THEO: 'theora',
+  HFYU: 'huffyuv',
+  DVSD: 'dvvideo'
+};
+
+/*
+ * ffprobe codec names for mplayer ID_AUDIO_FORMAT values (WAVE format tags,
+ * or FourCCs)
+ */
+var audioFormats = {
+  1: 'pcm_s16le',
+  3: 'pcm_f32le',
+  80: 'mp2',
+  85: 'mp3',
+  255: 'aac',
+  353: 'wmav2',
+  8192: 'ac3',
+  8193: 'dts',
+  22127: 'vorbis',
+  MP4A: 'aac',
+  VRBS: 'vorbis',
+  FLAC: 'flac'
+};
+
+
+/**
+ * Parse frame rate from mplayer into a 'num/den' string
+ *
+ * @param {String} fps frame rate, eg. '29.970'
+ * @return String
+ * @private
+ */
+function parseFrameRate(fps) {
+  var value = Number(fps);
+
+  // Recognize NTSC rates
+  if ([23.976, 29.97, 59.94].some(function(rate) { return Math.abs(value - rate) < 0.001; })) {
+    return Math.round(value * 1001 / 1000) * 1000 + '/1001';
+  }
+
+  return Math.round(value * 1000) + '/1000';
+}
+
+
+/**
+ * Get ffprobe codec name from an mplayer format
+ *
+ * @param {Object} formats format table
+ * @param {String} format ID_VIDEO_FORMAT or ID_AUDIO_FORMAT value
+ * @return {String|undefined} codec name, undefined for unknown formats
+ * @private
+ */
+function codecName(formats, format) {
+  if (typeof format === 'undefined') {
+    return undefined;
+  }
+
+  var key = format.toUpperCase();
+  var tag = Number(format);
+
+  if (key in formats) {
+    return formats[key];
+  } else if (format.length && !isNaN(tag) && tag in formats) {
+    return formats[tag];
+  }
+
+  return undefined;
+}
+
+
+/**
+ * Parse mplayer/mencoder -identify output into ffprobe-like data
+ *
+ * Stream 'codec_name' keys hold ffprobe codec names when the format is known; mplayer
+ * decoder names are available in 'decoder' keys.
+ *
+ * @param {String} out -identify output
+ * @return ffprobe-like data object
+ * @private
+ */
+function parseIdentifyOutput(out) {
+  var ids = {};
+
+  // Stream IDs are listed with repeated keys, keep them all
+  var streamIds = [];
+
+  out.split(/\r\n|\r|\n/).forEach(function(line) {
+    var kv = line.match(/^ID_([A-Z0-9_]+)=(.*)$/);
+    if (kv) {
+      ids[kv[1]] = kv[2];
+
+      var match = kv[1].match(/^(VIDEO|AUDIO|SUBTITLE)_ID$/);
+      if (match) {
+        streamIds.push({ type: match[1].toLowerCase(), id: Number(kv[2]) });
+      }
+    }
+  });
+
+  var data = {
+    streams: [],
+    format: {},
+    chapters: [],
+    identify: ids
+  };
+
+  function getStream(type, id) {
+    var stream = data.streams.filter(function(stream) {
+      return stream.codec_type === type && (typeof id === 'undefined' || stream.id === id);
+    })[0];
+
+    if (!stream) {
+      stream = { index: data.streams.length, codec_type: type };
+
+      if (typeof id !== 'undefined') {
+        stream.id = id;
+      }
+
+      data.streams.push(stream);
+    }
+
+    return stream;
+  }
+
+  function number(key) {
+    return Number(ids[key]);
+  }
+
+  // Stream lists
+  streamIds.forEach(function(stream) {
+    getStream(stream.type, stream.id);
+  });
+
+  Object.keys(ids).forEach(function(key) {
+    var match = key.match(/^(AID|SID)_(\d+)_(LANG|NAME)$/);
+    if (match) {
+      var stream = getStream(match[1] === 'AID' ? 'audio' : 'subtitle', Number(match[2]));
+      stream.tags = stream.tags || {};
+      stream.tags[match[3] === 'LANG' ? 'language' : 'title'] = ids[key];
+    }
+  });
+
+  // Selected video stream details
+  if ('VIDEO_FORMAT' in ids || 'VIDEO_WIDTH' in ids) {
+    var video = getStream('video');
+
+    video.codec_tag_string = ids.VIDEO_FORMAT;
+    video.codec_name = codecName(videoFormats, ids.VIDEO_FORMAT);
+    video.decoder = ids.VIDEO_CODEC;
+    video.width = number('VIDEO_WIDTH');
+    video.height = number('VIDEO_HEIGHT');
+
+    if (number('VIDEO_BITRATE')) {
+      video.bit_rate = number('VIDEO_BITRATE');
+    }
+
+    if (number('VIDEO_FPS')) {
+      video.r_frame_rate = video.avg_frame_rate = parseFrameRate(ids.VIDEO_FPS);
+    }
+
+    if (number('VIDEO_ASPECT')) {
+      video.display_aspect_ratio = ids.VIDEO_ASPECT;
+    }
+
+    if ('LENGTH' in ids) {
+      video.duration = number('LENGTH');
+    }
+  }
+
+  // Selected audio stream details
+  if ('AUDIO_FORMAT' in ids || 'AUDIO_CODEC' in ids) {
+    var audio = getStream('audio');
+
+    audio.codec_tag_string = ids.AUDIO_FORMAT;
+    audio.codec_name = codecName(audioFormats, ids.AUDIO_FORMAT);
+    audio.decoder = ids.AUDIO_CODEC;
+
+    if (number('AUDIO_BITRATE')) {
+      audio.bit_rate = number('AUDIO_BITRATE');
+    }
+
+    if (number('AUDIO_RATE')) {
+      audio.sample_rate = number('AUDIO_RATE');
+    }
+
+    if (number('AUDIO_NCH')) {
+      audio.channels = number('AUDIO_NCH');
+    }
+
+    if ('LENGTH' in ids) {
+      audio.duration = number('LENGTH');
+    }
+  }
+
+  // Format
+  data.format.filename = ids.FILENAME;
+  data.format.format_name = ids.DEMUXER;
+  data.format.nb_streams = data.streams.length;
+
+  if ('LENGTH' in ids) {
+    data.format.duration = number('LENGTH');
+  }
+
+  if ('START_TIME' in ids && ids.START_TIME !== 'unknown') {
+    data.format.start_time = number('START_TIME');
+  }
+
+  Object.keys(ids).forEach(function(key) {
+    var match = key.match(/^CLIP_INFO_NAME(\d+)$/);
+    if (match) {
+      data.format.tags = data.format.tags || {};
+      data.format.tags[ids[key].toLowerCase()] = ids['CLIP_INFO_VALUE' + match[1]];
+    }
+  });
+
+  // Chapters (mplayer reports times in milliseconds)
+  Object.keys(ids).forEach(function(key) {
+    var match = key.match(/^CHAPTER_(\d+)_START$/);
+    if (match) {
+      var id = Number(match[1]);
+      var chapter = { id: id, start_time: number(key) / 1000 };
+
+      if (('CHAPTER_' + id + '_END') in ids) {
+        chapter.end_time = number('CHAPTER_' + id + '_END') / 1000;
+      }
+
+      if (('CHAPTER_' + id + '_NAME') in ids) {
+        chapter.tags = { title: ids['CHAPTER_' + id + '_NAME'] };
+      }
+
+      data.chapters.push(chapter);
+    }
+  });
+
+  data.chapters.sort(function(a, b) { return a.id - b.id; });
+
+  return data;
+}
+
+
+module.exports = function(proto) {
+  /**
+   * A callback passed to the {@link MencoderCommand#identify} method.
+   *
+   * @callback MencoderCommand~identifyCallback
+   *
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} data media information, in the same format as {@link MencoderCommand#ffprobe}
+   *   (only a subset of the keys is available)
+   * @param {Array} data.streams stream information; 'codec_name' is only set for known formats
+   *   and the mplayer decoder name is available as 'decoder'
+   * @param {Object} data.format format information
+   * @param {Array} data.chapters chapter information
+   * @param {Object} data.identify raw ID_* values, without the 'ID_' prefix
+   */
+
+  /**
+   * Identify last specified input using mplayer (or mencoder) -identify
+   *
+   * Useful on hosts where ffprobe is not available.  mplayer is used when available,
+   * mencoder otherwise.
+   *
+   * @method MencoderCommand#identify
+   * @category Metadata
+   *
+   * @param {Number} [index] 0-based index of input to identify (defaults to last input)
+   * @param {MencoderCommand~identifyCallback} callback callback function
+   */
+  proto.identify = function(index, callback) {
+    var input;
+
+    if (typeof callback === 'undefined') {
+      callback = index;
+
+      if (!this._currentInput) {
+        return callback(new Error('No input specified'));
+      }
+
+      input = this._currentInput;
+    } else {
+      input = this._inputs[index];
+
+      if (!input) {
+        return callback(new Error('Invalid input index'));
+      }
+    }
+
+    if (input.isStream) {
+      return callback(new Error('Cannot identify stream input'));
+    }
+
+    var self = this;
+
+    // Find mplayer, or mencoder as a fallback
+    this._getMplayerPath(function(err, mplayer) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (mplayer) {
+        return runIdentify(mplayer, ['-vo', 'null', '-ao', 'null']);
+      }
+
+      self._getMencoderPath(function(err, mencoder) {
+        if (err) {
+          return callback(err);
+        } else if (!mencoder) {
+          return callback(new Error('Cannot find mplayer or mencoder'));
+        }
+
+        runIdentify(mencoder, ['-ovc', 'copy', '-nosound', '-o', nullDevice]);
+      });
+    });
+
+    function runIdentify(command, outputArgs) {
+      // Spawn failures may emit both 'error' and 'exit'
+      var called = false;
+      function done(err, data) {
+        if (!called) {
+          called = true;
+          callback(err, data);
+        }
+      }
+
+      var stdout = '';
+      var stdoutClosed = false;
+      var stderr = '';
+      var stderrClosed = false;
+
+      var proc = spawn(command, ['-identify', '-frames', '0']
+        .concat(outputArgs)
+        .concat(input.options.get())
+        .concat([input.source]));
+
+      proc.on('error', function(err) {
+        done(err);
+      });
+
+      // Ensure we wait for captured streams to end before calling callback
+      var exitError = null;
+      function handleExit(err) {
+        if (err) {
+          exitError = err;
+        }
+
+        if (processExited && stdoutClosed && stderrClosed) {
+          var data = parseIdentifyOutput(stdout);
+
+          // mencoder exits with an error when asked to encode 0 frames, only
+          // report errors when nothing could be identified
+          if (!data.streams.length) {
+            exitError = exitError || new Error('Could not identify ' + input.source);
+
+            if (stderr) {
+              exitError.message += '\n' + stderr;
+            }
+
+            return done(exitError);
+          }
+
+          done(null, data);
+        }
+      }
+
+      // Handle process exit
+      var processExited = false;
+      proc.on('exit', function(code, signal) {
+        processExited = true;
+
+        if (code) {
+          handleExit(new Error(command + ' exited with code ' + code));
+        } else if (signal) {
+          handleExit(new Error(command + ' was killed with signal ' + signal));
+        } else {
+          handleExit();
+        }
+      });
+
+      // Handle stdout/stderr streams
+      proc.stdout.on('data', function(data) {
+        stdout += data;
+      });
+
+      proc.stdout.on('close', function() {
+        stdoutClosed = true;
+        handleExit();
+      });
+
+      proc.stderr.on('data', function(data) {
+        stderr += data;
+      });
+
+      proc.stderr.on('close', function() {
+        stderrClosed = true;
+        handleExit();
+      });
+    }
+  };
+
+
+  /**
+   * A callback passed to the {@link MencoderCommand#dvdTitles} method.
+   *
+   * @callback MencoderCommand~dvdTitlesCallback
+   *
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object[]} titles title list, each with the following keys:
+   * @param {Number} titles.title title number
+   * @param {Number} titles.chapters chapter count
+   * @param {Number} titles.angles angle count
+   * @param {Number} titles.duration title duration in seconds
+   */
+
+  /**
+   * List titles and chapters of the last specified DVD input
+   *
+   * @example
+   * command.dvd({ device: '/archive/movie.iso' }).dvdTitles(function(err, titles) {
+   *   // titles: [{ title: 1, chapters: 12, angles: 1, duration: 5423.2 }, ...]
+   * });
+   *
+   * @method MencoderCommand#dvdTitles
+   * @category Metadata
+   *
+   * @param {MencoderCommand~dvdTitlesCallback} callback callback function
+   */
+  proto.dvdTitles = function(callback) {
+    if (!this._currentInput || !this._currentInput.isDvd) {
+      return callback(new Error('Current input is not a DVD input'));
+    }
+
+    this.identify(function(err, data) {
+      if (err) {
+        return callback(err);
+      }
+
+      var ids = data.identify;
+      var count = Number(ids.DVD_TITLES);
+
+      if (!count) {
+        return callback(new Error('Could not read DVD titles'));
+      }
+
+      var titles = [];
+      for (var i = 1; i <= count; i++) {
+        titles.push({
+          title: i,
+          chapters: Number(ids['DVD_TITLE_' + i + '_CHAPTERS']) || 0,
+          angles: Number(ids['DVD_TITLE_' + i + '_ANGLES']) || 1,
+          duration: Number(ids['DVD_TITLE_' + i + '_LENGTH']) || 0
+        });
+      }
+
+      callback(null, titles);
+    });
+  };
+
+
+  /**
+   * Read metadata for an input, using ffprobe when available and
+   * mplayer/mencoder -identify otherwise
+   *
+   * @method MencoderCommand#_probe
+   * @param {Number} [index] 0-based index of input to probe (defaults to last input)
+   * @param {Function} callback callback with signature (err, data)
+   * @private
+   */
+  proto._probe = function(index, callback) {
+    var self = this;
+    var args = [].slice.call(arguments);
+
+    if (typeof callback === 'undefined') {
+      callback = index;
+    }
+
+    this._getFfprobePath(function(err, ffprobe) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (ffprobe) {
+        self.ffprobe.apply(self, args);
+      } else {
+        self.identify.apply(self, args);
+      }
+    });
+  };
+};
+
+
+// Exposed for unit tests
+module.exports.parseIdentifyOutput = parseIdentifyOutput;
@@ -13,6 +13,10 @@ var EventEmitter = require('events').EventEmitter;
  * @constructor
  * @param {Number} [options.niceness=0] mencoder process niceness, ignored on Windows
  * @param {Number} [options.timeout=<no-timeout>] mencoder processing timeout in seconds
+ * @param {Number} [options.passes=1] encoding pass count, see {@link MencoderCommand#multiPass}
+ * @param {Boolean} [options.parallel=false] run one mencoder process for each output at the same time
+ *   instead of one after the other
+ * @param {Object} [options.logger=<no logging>] logger object with 'error', 'warn', 'info' and 'debug' methods
  */
 function MencoderCommand(input,options){
   // Make 'new' optional
@@ -40,6 +44,9 @@ function MencoderCommand(input,options){
   this._outputs = [];
   this.output();
 
+  // Running mencoder processes
+  this._mencoderProcs = [];
+
 
   var self = this;
   ['_global','_complexFilters'].forEach(function(prop){
@@ -53,20 +60,29 @@ function MencoderCommand(input,options){
   // Save options
   this.options = options;
 
+  // Setup logger
+  this.logger = options.logger || {
+    debug: function() {},
+    info: function() {},
+    warn: function() {},
+    error: function() {}
+  };
 }
 
 util.inherits(MencoderCommand, EventEmitter);
-MencoderCommand.prototype.addInput = function(){
-  console.log("Prova add input");
-};
+
 require('./options/inputs')(MencoderCommand.prototype);
 require('./options/output')(MencoderCommand.prototype);
 require('./options/video')(MencoderCommand.prototype);
 require('./options/videosize')(MencoderCommand.prototype);
+require('./options/videofilters')(MencoderCommand.prototype);
 require('./options/audio')(MencoderCommand.prototype);
+require('./options/audiofilters')(MencoderCommand.prototype);
+require('./options/subtitles')(MencoderCommand.prototype);
 require('./options/misc')(MencoderCommand.prototype);
 require('./processor')(MencoderCommand.prototype);
 require('./capabilities')(MencoderCommand.prototype);
+require('./validation')(MencoderCommand.prototype);
 
 
 /* Add ffprobe methods */
@@ -77,8 +93,32 @@ MencoderCommand.ffprobe = function(file, callback) {
   (new MencoderCommand(file)).ffprobe(callback);
 };
 
+/* Add mplayer -identify methods */
+
+require('./identify')(MencoderCommand.prototype);
+
+MencoderCommand.identify = function(file, callback) {
+  (new MencoderCommand(file)).identify(callback);
+};
+
+MencoderCommand.dvdTitles = function(device, callback) {
+  (new MencoderCommand()).dvd(1, { device: device }).dvdTitles(callback);
+};
+
 
 
 require('./recipes')(MencoderCommand.prototype);
 
+/* Expose error class */
+
+MencoderCommand.MencoderError = require('./errors');
+
+/* Expose job queue */
+
+MencoderCommand.Queue = require('./queue');
+
+/* Add promise-returning methods */
+
+require('./promises')(MencoderCommand.prototype);
+
 module.exports = MencoderCommand;
@@ -2,7 +2,31 @@
 'use strict';
 
 var utils = require('../utils');
+var encoders = require('../encoders');
 
+var audioCodecs = ['mp3lame', 'faac', 'twolame', 'toolame', 'lavc', 'pcm', 'copy'];
+
+
+/**
+ * Set encoder options for the current output and select the encoder if none was specified
+ *
+ * @param {MencoderCommand} command
+ * @param {String} codec audio encoder name
+ * @param {String} name encoder option name
+ * @param {Object} options encoder options
+ * @return MencoderCommand
+ * @private
+ */
+function setAudioEncoderOptions(command, codec, name, options) {
+  var output = command._currentOutput;
+  encoders.set(output, name, options);
+
+  if (!output.audio.find('-oac')) {
+    output.audio('-oac', codec);
+  }
+
+  return command;
+}
 
 /*
  *! Audio-related methods
@@ -34,20 +58,80 @@ module.exports = function(proto) {
    * @category Audio
    * @aliases withAudioCodec
    *
-   * @param {String} codec audio codec name
+   * @param {String} codec audio encoder name, one of 'mp3lame', 'faac', 'twolame',
+   *   'toolame', 'lavc', 'pcm' and 'copy'
    * @return MencoderCommand
    */
   proto.withAudioCodec =
   proto.audioCodec = function(codec) {
+    if (audioCodecs.indexOf(codec) === -1) {
+      throw new Error('Invalid audio codec: ' + codec);
+    }
+
+    this._currentOutput.audio.remove('-nosound');
+    this._currentOutput.audio.remove('-oac', 1);
     this._currentOutput.audio('-oac', codec);
 
     return this;
   };
 
 
+  /**
+   * Copy the audio stream without re-encoding it
+   *
+   * Audio filters cannot be used when copying the audio stream.  The video stream can
+   * still be re-encoded with {@link MencoderCommand#videoCodec}.
+   *
+   * @example
+   * // Keep AC3 audio, re-encode video
+   * command.copyAudio({ formatTag: 0x2000 }).videoCodec('x264');
+   *
+   * @method MencoderCommand#copyAudio
+   * @category Audio
+   * @aliases withAudioCopy
+   *
+   * @param {Object} [options] copy options
+   * @param {Number|String} [options.formatTag] audio format tag to store in the output
+   *   (-fafmttag, eg. 0x2000 for AC3), for streams mencoder does not identify properly
+   * @return MencoderCommand
+   */
+  proto.withAudioCopy =
+  proto.copyAudio = function(options) {
+    var output = this._currentOutput;
+    options = options || {};
+
+    Object.keys(options).forEach(function(key) {
+      if (key !== 'formatTag') {
+        throw new Error('Unknown audio copy option: ' + key);
+      }
+    });
+
+    if ('formatTag' in options) {
+      var tag = Number(options.formatTag);
+
+      if (isNaN(tag) || tag < 0 || tag > 0xffff || Math.floor(tag) !== tag) {
+        throw new Error('Invalid audio format tag: ' + options.formatTag);
+      }
+    }
+
+    output.audio.remove('-fafmttag', 1);
+    this.audioCodec('copy');
+
+    if ('formatTag' in options) {
+      output.audio('-fafmttag', '0x' + Number(options.formatTag).toString(16));
+    }
+
+    return this;
+  };
+
+
   /**
    * Specify audio bitrate
    *
+   * The bitrate is passed to the selected audio encoder when building the command line;
+   * bitrate options set directly on the encoder take precedence.  Replaces any quality
+   * set with {@link MencoderCommand#audioQuality}.
+   *
    * @method MencoderCommand#audioBitrate
    * @category Audio
    * @aliases withAudioBitrate
@@ -57,7 +141,14 @@ module.exports = function(proto) {
    */
   proto.withAudioBitrate =
   proto.audioBitrate = function(bitrate) {
-    this._currentOutput.audio('-b:a', ('' + bitrate).replace(/k?$/, 'k'));
+    bitrate = parseInt(('' + bitrate).replace(/k$/, ''), 10);
+
+    if (isNaN(bitrate) || bitrate <= 0) {
+      throw new Error('Invalid audio bitrate');
+    }
+
+    this._currentOutput.encoding.audioBitrate = bitrate;
+    delete this._currentOutput.encoding.audioQuality;
     return this;
   };
 
@@ -74,7 +165,8 @@ module.exports = function(proto) {
    */
   proto.withAudioChannels =
   proto.audioChannels = function(channels) {
-    this._currentOutput.audio('-ac', channels);
+    this._currentOutput.audio.remove('-channels', 1);
+    this._currentOutput.audio('-channels', channels);
     return this;
   };
 
@@ -91,7 +183,8 @@ module.exports = function(proto) {
    */
   proto.withAudioFrequency =
   proto.audioFrequency = function(freq) {
-    this._currentOutput.audio('-ar', freq);
+    this._currentOutput.audio.remove('-srate', 1);
+    this._currentOutput.audio('-srate', freq);
     return this;
   };
 
@@ -99,6 +192,15 @@ module.exports = function(proto) {
   /**
    * Specify audio quality
    *
+   * The quality is passed to the selected audio encoder when building the command line,
+   * its meaning depends on the encoder:
+   * - mp3lame: VBR quality, from 0 (best) to 9
+   * - faac: quantizer quality, from 10 to 500
+   * - twolame/toolame: VBR quality level, from -50 to 50
+   *
+   * Values out of range for the selected encoder make building the command line fail.
+   * Replaces any bitrate set with {@link MencoderCommand#audioBitrate}.
+   *
    * @method MencoderCommand#audioQuality
    * @category Audio
    * @aliases withAudioQuality
@@ -108,11 +210,102 @@ module.exports = function(proto) {
    */
   proto.withAudioQuality =
   proto.audioQuality = function(quality) {
-    this._currentOutput.audio('-aq', quality);
+    this._currentOutput.encoding.audioQuality = quality;
+    delete this._currentOutput.encoding.audioBitrate;
     return this;
   };
 
 
+  /**
+   * Specify LAME MP3 encoder options
+   *
+   * Options are validated and merged with options from previous calls for the same
+   * output, then passed to mencoder as a single '-lameopts' argument.
+   *
+   * Also selects the 'mp3lame' audio encoder when no other encoder was specified.
+   *
+   * @example
+   * command.lameOptions({ cbr: true, br: 192, vol: 2 });
+   *
+   * @method MencoderCommand#lameOptions
+   * @category Audio
+   * @aliases withLameOptions
+   *
+   * @param {Object} options LAME options, see the mencoder manual for '-lameopts'
+   * @return MencoderCommand
+   */
+  proto.withLameOptions =
+  proto.lameOptions = function(options) {
+    return setAudioEncoderOptions(this, 'mp3lame', 'lameopts', options);
+  };
+
+
+  /**
+   * Specify FAAC encoder options
+   *
+   * Options are validated and merged with options from previous calls for the same
+   * output, then passed to mencoder as a single '-faacopts' argument.
+   *
+   * Also selects the 'faac' audio encoder when no other encoder was specified.
+   *
+   * @example
+   * command.faacOptions({ br: 128, mpeg: 4, object: 2 });
+   *
+   * @method MencoderCommand#faacOptions
+   * @category Audio
+   * @aliases withFaacOptions
+   *
+   * @param {Object} options FAAC options, see the mencoder manual for '-faacopts'
+   * @return MencoderCommand
+   */
+  proto.withFaacOptions =
+  proto.faacOptions = function(options) {
+    return setAudioEncoderOptions(this, 'faac', 'faacopts', options);
+  };
+
+
+  /**
+   * Specify TwoLAME encoder options
+   *
+   * Options are validated and merged with options from previous calls for the same
+   * output, then passed to mencoder as a single '-twolameopts' argument.
+   *
+   * Also selects the 'twolame' audio encoder when no other encoder was specified.
+   *
+   * @method MencoderCommand#twolameOptions
+   * @category Audio
+   * @aliases withTwolameOptions
+   *
+   * @param {Object} options TwoLAME options, see the mencoder manual for '-twolameopts'
+   * @return MencoderCommand
+   */
+  proto.withTwolameOptions =
+  proto.twolameOptions = function(options) {
+    return setAudioEncoderOptions(this, 'twolame', 'twolameopts', options);
+  };
+
+
+  /**
+   * Specify toolame encoder options
+   *
+   * Options are validated and merged with options from previous calls for the same
+   * output, then passed to mencoder as a single '-toolameopts' argument.
+   *
+   * Also selects the 'toolame' audio encoder when no other encoder was specified.
+   *
+   * @method MencoderCommand#toolameOptions
+   * @category Audio
+   * @aliases withToolameOptions
+   *
+   * @param {Object} options toolame options, see the mencoder manual for '-toolameopts'
+   * @return MencoderCommand
+   */
+  proto.withToolameOptions =
+  proto.toolameOptions = function(options) {
+    return setAudioEncoderOptions(this, 'toolame', 'toolameopts', options);
+  };
+
+
   /**
    * Specify custom audio filter(s)
    *
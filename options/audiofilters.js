@@ -0,0 +1,370 @@
+/*jshint node:true*/
+'use strict';
+
+
+/**
+ * Check that a value is a number within a range
+ *
+ * @param {String} filter filter name, for error messages
+ * @param {String} name parameter name, for error messages
+ * @param {Number} value value to check
+ * @param {Number} min minimum value
+ * @param {Number} max maximum value
+ * @param {Boolean} [integer=false] whether value must be an integer
+ * @private
+ */
+function checkRange(filter, name, value, min, max, integer) {
+  var number = Number(value);
+
+  if (value === null || value === '' || isNaN(number) ||
+    number < min || number > max || (integer && Math.floor(number) !== number)) {
+    throw new Error('Invalid ' + filter + ' ' + name + ': ' + value);
+  }
+}
+
+
+/**
+ * Request enough decoded channels for a filter reading from 'count' input channels
+ *
+ * mencoder decoders output 2 channels unless more are requested with -channels, so
+ * filters reading from surround channels would only get the front channels.
+ *
+ * @param {Object} output output specification
+ * @param {Number} count input channel count
+ * @private
+ */
+function requestChannels(output, count) {
+  if (count > 2 && !output.audio.find('-channels')) {
+    output.audio('-channels', count);
+  }
+}
+
+
+/*
+ *! mencoder audio filter methods
+ *
+ * These are typed shortcuts to {@link MencoderCommand#audioFilters}; filters are
+ * applied in the order they are added.
+ */
+
+module.exports = function(proto) {
+  /**
+   * Change audio volume
+   *
+   * @method MencoderCommand#volume
+   * @category Audio filters
+   *
+   * @param {Number} gain gain in dB, from -200 to 60
+   * @param {Boolean} [softclip=false] enable soft clipping
+   * @return MencoderCommand
+   */
+  proto.volume = function(gain, softclip) {
+    checkRange('volume', 'gain', gain, -200, 60);
+
+    return this.audioFilters({
+      filter: 'volume',
+      options: softclip ? [gain, 1] : [gain]
+    });
+  };
+
+
+  /**
+   * Normalize audio volume
+   *
+   * @method MencoderCommand#volnorm
+   * @category Audio filters
+   * @aliases normalize
+   *
+   * @param {Number} [method=1] 1 to use a single sample to smooth variations,
+   *   2 to use several samples
+   * @param {Number} [target=0.25] target amplitude, as a fraction of the maximum (0-1)
+   * @return MencoderCommand
+   */
+  proto.normalize =
+  proto.volnorm = function(method, target) {
+    var options = [];
+
+    if (typeof method !== 'undefined' || typeof target !== 'undefined') {
+      method = typeof method === 'undefined' ? 1 : method;
+
+      if (method !== 1 && method !== 2) {
+        throw new Error('Invalid volnorm method: ' + method);
+      }
+
+      options.push(method);
+    }
+
+    if (typeof target !== 'undefined') {
+      checkRange('volnorm', 'target', target, 0, 1);
+      options.push(target);
+    }
+
+    return this.audioFilters({ filter: 'volnorm', options: options });
+  };
+
+
+  /**
+   * Resample audio
+   *
+   * @method MencoderCommand#resample
+   * @category Audio filters
+   *
+   * @param {Number} frequency output sample rate, from 8000 to 192000
+   * @param {Boolean} [sloppy=true] allow a slightly different output frequency when it
+   *   makes resampling faster
+   * @param {Number} [type=1] resampling method, 0: linear interpolation,
+   *   1: polyphase filterbank, 2: polyphase filterbank with floating point
+   * @return MencoderCommand
+   */
+  proto.resample = function(frequency, sloppy, type) {
+    checkRange('resample', 'frequency', frequency, 8000, 192000, true);
+
+    var options = [frequency];
+
+    if (typeof sloppy !== 'undefined' || typeof type !== 'undefined') {
+      options.push(sloppy === false ? 0 : 1);
+    }
+
+    if (typeof type !== 'undefined') {
+      if ([0, 1, 2].indexOf(type) === -1) {
+        throw new Error('Invalid resample type: ' + type);
+      }
+
+      options.push(type);
+    }
+
+    return this.audioFilters({ filter: 'resample', options: options });
+  };
+
+
+  /**
+   * Change channel count and route channels
+   *
+   * Routes are [from, to] pairs of 0-based channel numbers.  Enough channels are
+   * requested from the decoder to read from all route sources, unless
+   * {@link MencoderCommand#audioChannels} was called.
+   *
+   * @example
+   * // Keep only the front channels of a 5.1 source, swapped
+   * command.channels(2, [[0, 1], [1, 0]]);
+   *
+   * @method MencoderCommand#channels
+   * @category Audio filters
+   * @aliases remapChannels
+   *
+   * @param {Number} count output channel count, from 1 to 8
+   * @param {Array[]} [routes] channel routes
+   * @return MencoderCommand
+   */
+  proto.remapChannels =
+  proto.channels = function(count, routes) {
+    checkRange('channels', 'channel count', count, 1, 8, true);
+
+    var options = [count];
+    var inputs = 0;
+
+    if (routes) {
+      if (!Array.isArray(routes) || !routes.length) {
+        throw new Error('Invalid channels routes: ' + routes);
+      }
+
+      options.push(routes.length);
+
+      routes.forEach(function(route) {
+        if (!Array.isArray(route) || route.length !== 2) {
+          throw new Error('Invalid channels route: ' + route);
+        }
+
+        checkRange('channels', 'route source', route[0], 0, 7, true);
+        checkRange('channels', 'route destination', route[1], 0, count - 1, true);
+
+        inputs = Math.max(inputs, route[0] + 1);
+        options.push(route[0], route[1]);
+      });
+    }
+
+    requestChannels(this._currentOutput, inputs);
+    return this.audioFilters({ filter: 'channels', options: options });
+  };
+
+
+  /**
+   * Mix channels using a gain matrix
+   *
+   * The matrix has one row per input channel, each row giving the gain of that input
+   * channel in each output channel.  Enough channels are requested from the decoder to
+   * read from all input channels, unless {@link MencoderCommand#audioChannels} was called.
+   *
+   * @example
+   * // Downmix 5.1 (L, R, Ls, Rs, C, LFE) to stereo
+   * command.pan(2, [
+   *   [1, 0],
+   *   [0, 1],
+   *   [0.7, 0],
+   *   [0, 0.7],
+   *   [0.7, 0.7],
+   *   [0, 0]
+   * ]);
+   *
+   * @method MencoderCommand#pan
+   * @category Audio filters
+   * @aliases mixChannels
+   *
+   * @param {Number} count output channel count, from 1 to 8
+   * @param {Array[]} matrix gain matrix, gains ranging from 0 to 512
+   * @return MencoderCommand
+   */
+  proto.mixChannels =
+  proto.pan = function(count, matrix) {
+    checkRange('pan', 'channel count', count, 1, 8, true);
+
+    if (!Array.isArray(matrix) || !matrix.length || matrix.length > 8) {
+      throw new Error('Invalid pan matrix: ' + matrix);
+    }
+
+    var options = [count];
+
+    matrix.forEach(function(row) {
+      if (!Array.isArray(row) || row.length !== count) {
+        throw new Error('Invalid pan matrix row: ' + row + ' (expected ' + count + ' gains)');
+      }
+
+      row.forEach(function(gain) {
+        checkRange('pan', 'gain', gain, 0, 512);
+        options.push(gain);
+      });
+    });
+
+    requestChannels(this._currentOutput, matrix.length);
+    return this.audioFilters({ filter: 'pan', options: options });
+  };
+
+
+  /**
+   * Apply a 10-band graphic equalizer
+   *
+   * Bands are centered on 31.25, 62.50, 125, 250, 500 Hz and 1, 2, 4, 8, 16 kHz.
+   *
+   * @method MencoderCommand#equalizer
+   * @category Audio filters
+   *
+   * @param {Number[]} gains gain for each band in dB, from -12 to 12
+   * @return MencoderCommand
+   */
+  proto.equalizer = function(gains) {
+    if (!Array.isArray(gains) || gains.length !== 10) {
+      throw new Error('Invalid equalizer gains: expected 10 values');
+    }
+
+    gains.forEach(function(gain) {
+      checkRange('equalizer', 'gain', gain, -12, 12);
+    });
+
+    return this.audioFilters({ filter: 'equalizer', options: gains });
+  };
+
+
+  /**
+   * Delay audio channels
+   *
+   * @example
+   * // Delay the first two channels by 10ms and the third one by 20ms
+   * command.delay([10, 10, 20]);
+   *
+   * @method MencoderCommand#delay
+   * @category Audio filters
+   * @aliases audioDelay
+   *
+   * @param {Number|Number[]} delays delay for each channel in milliseconds, or a single
+   *   delay for the first channel
+   * @return MencoderCommand
+   */
+  proto.audioDelay =
+  proto.delay = function(delays) {
+    if (!Array.isArray(delays)) {
+      delays = [delays];
+    }
+
+    if (!delays.length || delays.length > 8) {
+      throw new Error('Invalid delays: ' + delays);
+    }
+
+    delays.forEach(function(delay) {
+      checkRange('delay', 'delay', delay, 0, 1000);
+    });
+
+    return this.audioFilters({ filter: 'delay', options: delays });
+  };
+
+
+  /**
+   * Change audio tempo without changing its pitch
+   *
+   * Mostly useful together with the -speed option to keep the audio pitch when
+   * changing playback speed.
+   *
+   * @method MencoderCommand#scaletempo
+   * @category Audio filters
+   *
+   * @param {Object} [options] filter options
+   * @param {Number} [options.scale] nominal tempo scale, in addition to the playback speed
+   * @param {Number} [options.stride] length of each output frame in milliseconds
+   * @param {Number} [options.overlap] fraction of each frame to overlap with the next one (0-1)
+   * @param {Number} [options.search] length in milliseconds to search for the best overlap position
+   * @param {String} [options.speed='tempo'] what to scale when playback speed changes,
+   *   one of 'tempo', 'pitch', 'both' and 'none'
+   * @return MencoderCommand
+   */
+  proto.scaletempo = function(options) {
+    options = options || {};
+
+    Object.keys(options).forEach(function(key) {
+      var value = options[key];
+
+      switch (key) {
+        case 'scale':
+        case 'stride':
+        case 'search':
+          checkRange('scaletempo', key, value, 0, Infinity);
+          break;
+
+        case 'overlap':
+          checkRange('scaletempo', key, value, 0, 1);
+          break;
+
+        case 'speed':
+          if (['tempo', 'pitch', 'both', 'none'].indexOf(value) === -1) {
+            throw new Error('Invalid scaletempo speed: ' + value);
+          }
+          break;
+
+        default:
+          throw new Error('Unknown scaletempo option: ' + key);
+      }
+    });
+
+    return this.audioFilters({ filter: 'scaletempo', options: options });
+  };
+
+
+  /**
+   * Widen or narrow the stereo image
+   *
+   * @method MencoderCommand#extrastereo
+   * @category Audio filters
+   *
+   * @param {Number} [coefficient=2.5] difference coefficient; 0 gives mono output,
+   *   1 leaves audio untouched, negative values swap the left and right channels
+   * @return MencoderCommand
+   */
+  proto.extrastereo = function(coefficient) {
+    if (typeof coefficient !== 'undefined') {
+      checkRange('extrastereo', 'coefficient', coefficient, -Infinity, Infinity);
+    }
+
+    return this.audioFilters({
+      filter: 'extrastereo',
+      options: typeof coefficient !== 'undefined' ? [coefficient] : []
+    });
+  };
+};
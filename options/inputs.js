@@ -3,6 +3,28 @@
 
 var utils = require('../utils');
 
+var imageTypes = ['png', 'jpg', 'tga', 'sgi', 'bmp'];
+
+/**
+ * Return current input, ensuring it is a DVD input
+ *
+ * @param {MencoderCommand} command
+ * @return input specification
+ * @private
+ */
+function getDvdInput(command) {
+  if (!command._currentInput) {
+    throw new Error('No input specified');
+  }
+
+  if (!command._currentInput.isDvd) {
+    throw new Error('Current input is not a DVD input');
+  }
+
+  return command._currentInput;
+}
+
+
 /*
  *! Input-related methods
  */
@@ -60,6 +82,267 @@ module.exports = function(proto) {
   };
 
 
+  /**
+   * Add an image sequence input
+   *
+   * The pattern is passed to mencoder's 'mf://' (multiple files) demuxer and may be
+   * a glob pattern (eg. '/path/to/stills/*.jpg'), a comma-separated file list or
+   * '@listfile'.  Also switches "current input".
+   *
+   * @example
+   * command.imageSequence('/path/to/stills/*.png', { fps: 25, type: 'png' });
+   *
+   * @method MencoderCommand#imageSequence
+   * @category Input
+   * @aliases addImageSequence
+   *
+   * @param {String} pattern image file pattern
+   * @param {Object} [options] image sequence options
+   * @param {Number} [options.fps] image sequence frame rate
+   * @param {String} [options.type] image type, one of 'png', 'jpg', 'tga', 'sgi' and 'bmp'
+   *   (autodetected from file extensions by mencoder when not specified)
+   * @param {Number} [options.w] image width, for raw image types
+   * @param {Number} [options.h] image height, for raw image types
+   * @return MencoderCommand
+   */
+  proto.addImageSequence =
+  proto.imageSequence = function(pattern, options) {
+    options = options || {};
+
+    if (typeof pattern !== 'string' || !pattern.length) {
+      throw new Error('Invalid image sequence pattern');
+    }
+
+    var mf = utils.args();
+
+    Object.keys(options).forEach(function(key) {
+      var value = options[key];
+
+      if (key === 'type') {
+        if (imageTypes.indexOf(value) === -1) {
+          throw new Error('Invalid image sequence type: ' + value);
+        }
+      } else if (key === 'fps' || key === 'w' || key === 'h') {
+        if (isNaN(Number(value)) || Number(value) <= 0) {
+          throw new Error('Invalid image sequence ' + key + ': ' + value);
+        }
+      } else {
+        throw new Error('Unknown image sequence option: ' + key);
+      }
+
+      mf(key + '=' + value);
+    });
+
+    this.input('mf://' + pattern);
+    this._currentInput.isFile = true;
+    this._currentInput.isImageSequence = true;
+
+    if (mf.get().length) {
+      this._currentInput.options('-mf', mf.get().join(':'));
+    }
+
+    return this;
+  };
+
+
+  /**
+   * Add a DVD title input
+   *
+   * Also switches "current input".
+   *
+   * @example
+   * command.dvd(2, { device: '/archive/movie.iso', chapters: '3-5', alang: 'en', slang: 'it' });
+   *
+   * @method MencoderCommand#dvd
+   * @category Input
+   * @aliases addDvd,dvdTitle
+   *
+   * @param {Number} [title=1] DVD title number
+   * @param {Object} [options] DVD options
+   * @param {String} [options.device] DVD device, ISO image or VIDEO_TS folder (see {@link MencoderCommand#dvdDevice})
+   * @param {String|Number|Number[]} [options.chapters] chapter or chapter range (see {@link MencoderCommand#dvdChapters})
+   * @param {Number} [options.angle] DVD angle (see {@link MencoderCommand#dvdAngle})
+   * @param {String} [options.alang] audio language list (see {@link MencoderCommand#audioLanguage})
+   * @param {String} [options.slang] subtitle language list (see {@link MencoderCommand#subtitleLanguage})
+   * @return MencoderCommand
+   */
+  proto.addDvd =
+  proto.dvdTitle =
+  proto.dvd = function(title, options) {
+    if (typeof title === 'object') {
+      options = title;
+      title = 1;
+    }
+
+    title = typeof title === 'undefined' ? 1 : Number(title);
+    options = options || {};
+
+    if (isNaN(title) || title < 1 || Math.floor(title) !== title) {
+      throw new Error('Invalid DVD title: ' + title);
+    }
+
+    this.input('dvd://' + title);
+    this._currentInput.isDvd = true;
+
+    var self = this;
+    var setters = {
+      device: this.dvdDevice,
+      chapters: this.dvdChapters,
+      angle: this.dvdAngle,
+      alang: this.audioLanguage,
+      slang: this.subtitleLanguage
+    };
+
+    Object.keys(options).forEach(function(key) {
+      if (!(key in setters)) {
+        throw new Error('Unknown DVD option: ' + key);
+      }
+
+      setters[key].call(self, options[key]);
+    });
+
+    return this;
+  };
+
+
+  /**
+   * Specify DVD device for the last specified input
+   *
+   * @method MencoderCommand#dvdDevice
+   * @category Input
+   * @aliases withDvdDevice
+   *
+   * @param {String} device DVD device path, ISO image or VIDEO_TS folder
+   * @return MencoderCommand
+   */
+  proto.withDvdDevice =
+  proto.dvdDevice = function(device) {
+    var input = getDvdInput(this);
+
+    input.options.remove('-dvd-device', 1);
+    input.options('-dvd-device', device);
+    return this;
+  };
+
+
+  /**
+   * Select DVD chapters for the last specified input
+   *
+   * @example
+   * command.dvdChapters(3);
+   *
+   * @example
+   * command.dvdChapters('3-5');
+   *
+   * @example
+   * command.dvdChapters(3, 5);
+   *
+   * @method MencoderCommand#dvdChapters
+   * @category Input
+   * @aliases chapters
+   *
+   * @param {String|Number|Number[]} start first chapter, 'start-end' range string or [start, end] array
+   * @param {Number} [end] last chapter
+   * @return MencoderCommand
+   */
+  proto.chapters =
+  proto.dvdChapters = function(start, end) {
+    var input = getDvdInput(this);
+
+    if (Array.isArray(start)) {
+      end = start[1];
+      start = start[0];
+    } else if (typeof start === 'string' && start.indexOf('-') !== -1) {
+      end = start.split('-')[1];
+      start = start.split('-')[0];
+    }
+
+    var range = [start, end].filter(function(chapter) {
+      return typeof chapter !== 'undefined' && chapter !== '';
+    }).map(Number);
+
+    var valid = range.length && range.every(function(chapter) {
+      return !isNaN(chapter) && chapter >= 1 && Math.floor(chapter) === chapter;
+    });
+
+    if (!valid || (range.length > 1 && range[1] < range[0])) {
+      throw new Error('Invalid DVD chapter range: ' + [start, end].join('-'));
+    }
+
+    input.options.remove('-chapter', 1);
+    input.options('-chapter', range.join('-'));
+    return this;
+  };
+
+
+  /**
+   * Select DVD angle for the last specified input
+   *
+   * @method MencoderCommand#dvdAngle
+   * @category Input
+   * @aliases angle
+   *
+   * @param {Number} angle angle number
+   * @return MencoderCommand
+   */
+  proto.angle =
+  proto.dvdAngle = function(angle) {
+    var input = getDvdInput(this);
+
+    if (isNaN(Number(angle)) || Number(angle) < 1) {
+      throw new Error('Invalid DVD angle: ' + angle);
+    }
+
+    input.options.remove('-dvdangle', 1);
+    input.options('-dvdangle', angle);
+    return this;
+  };
+
+
+  /**
+   * Select audio track by language for the last specified input
+   *
+   * @method MencoderCommand#audioLanguage
+   * @category Input
+   * @aliases alang
+   *
+   * @param {String|String[]} lang language code or list of language codes, by priority (eg. 'it,en')
+   * @return MencoderCommand
+   */
+  proto.alang =
+  proto.audioLanguage = function(lang) {
+    if (!this._currentInput) {
+      throw new Error('No input specified');
+    }
+
+    this._currentInput.options.remove('-alang', 1);
+    this._currentInput.options('-alang', Array.isArray(lang) ? lang.join(',') : lang);
+    return this;
+  };
+
+
+  /**
+   * Select subtitle track by language for the last specified input
+   *
+   * @method MencoderCommand#subtitleLanguage
+   * @category Input
+   * @aliases slang
+   *
+   * @param {String|String[]} lang language code or list of language codes, by priority (eg. 'it,en')
+   * @return MencoderCommand
+   */
+  proto.slang =
+  proto.subtitleLanguage = function(lang) {
+    if (!this._currentInput) {
+      throw new Error('No input specified');
+    }
+
+    this._currentInput.options.remove('-slang', 1);
+    this._currentInput.options('-slang', Array.isArray(lang) ? lang.join(',') : lang);
+    return this;
+  };
+
+
   /**
    * Specify input format for the last specified input
    *
@@ -11,29 +11,44 @@ module.exports = function(proto) {
   /**
    * Use preset
    *
+   * Built-in presets are:
+   * - 'dvd': DVD-Video compliant MPEG-2 (arguments: 'pal' or 'ntsc', { aspect, videoBitrate, audioBitrate })
+   * - 'vcd': VideoCD compliant MPEG-1 (arguments: 'pal' or 'ntsc', { aspect })
+   * - 'svcd': Super VideoCD compliant MPEG-2 (arguments: 'pal' or 'ntsc', { aspect, videoBitrate, audioBitrate })
+   * - 'portable': H.264/AAC MP4 for portable devices (arguments: { width, videoBitrate, audioBitrate })
+   *
+   * @example
+   * command.preset('dvd', 'ntsc', { aspect: '16/9' });
+   *
    * @method MencoderCommand#preset
    * @category Miscellaneous
    * @aliases usingPreset
    *
    * @param {String|Function} preset preset name or preset function
+   * @param {...*} [args] additional arguments passed to the preset function
+   * @return MencoderCommand
    */
   proto.usingPreset =
   proto.preset = function(preset) {
+    var args = [this].concat([].slice.call(arguments, 1));
+
     if (typeof preset === 'function') {
-      preset(this);
+      preset.apply(null, args);
     } else {
+      var modulePath = path.join(this.options.presets, preset);
+      var module;
+
       try {
-        var modulePath = path.join(this.options.presets, preset);
-        var module = require(modulePath);
-
-        if (typeof module.load === 'function') {
-          module.load(this);
-        } else {
-          throw new Error('preset ' + modulePath + ' has no load() function');
-        }
+        module = require(modulePath);
       } catch (err) {
         throw new Error('preset ' + modulePath + ' could not be loaded: ' + err.message);
       }
+
+      if (typeof module.load !== 'function') {
+        throw new Error('preset ' + modulePath + ' has no load() function');
+      }
+
+      module.load.apply(module, args);
     }
 
     return this;
@@ -2,6 +2,8 @@
 'use strict';
 
 var utils = require('../utils');
+var encoders = require('../encoders');
+var containers = require('../containers');
 
 
 /*
@@ -58,11 +60,13 @@ module.exports = function(proto) {
         target: target,
         isFile: isFile,
         flags: {},
+        encoding: {},
+        encoderOptions: {},
         pipeopts: pipeopts || {}
       });
 
       var self = this;
-      ['audio', 'audioFilters', 'video', 'videoFilters', 'sizeFilters', 'options'].forEach(function(key) {
+      ['audio', 'audioFilters', 'video', 'videoFilters', 'sizeFilters', 'subtitles', 'options'].forEach(function(key) {
         self._currentOutput[key] = utils.args();
       });
 
@@ -114,6 +118,17 @@ module.exports = function(proto) {
   /**
    * Set output format
    *
+   * The format can be one of the following container profiles, which select the right
+   * muxer and muxer options and check that output codecs can be stored in the container:
+   * - 'avi'
+   * - 'mpeg', 'mpeg1': MPEG program stream
+   * - 'vcd', 'svcd', 'dvd': (S)VCD or DVD compliant MPEG program stream
+   * - 'rawvideo', 'rawaudio': raw elementary stream
+   * - 'mp4', 'mkv', 'flv', 'webm': libavformat containers
+   *
+   * Other mencoder muxer names ('lavf'...) are passed as is, any other name is used as
+   * a libavformat format name.
+   *
    * @method MencoderCommand#format
    * @category Output
    * @aliases toFormat,withOutputFormat,outputFormat
@@ -125,11 +140,107 @@ module.exports = function(proto) {
   proto.withOutputFormat =
   proto.outputFormat =
   proto.format = function(format) {
-    this._currentOutput.options('-of', format);
+    containers.set(this._currentOutput, format);
+    return this;
+  };
+
+
+  /**
+   * Set MPEG muxer options
+   *
+   * Options override those set by the 'mpeg', 'mpeg1', 'vcd', 'svcd' and 'dvd'
+   * format profiles.  Selects the MPEG muxer when no format was specified.
+   *
+   * @example
+   * command.format('dvd').mpegOptions({ vaspect: '16/9', telecine: true });
+   *
+   * @method MencoderCommand#mpegOptions
+   * @category Output
+   * @aliases withMpegOptions
+   *
+   * @param {Object} options muxer options (see the -mpegopts section of the mencoder manual),
+   *   flags are set with boolean values
+   * @return MencoderCommand
+   */
+  proto.withMpegOptions =
+  proto.mpegOptions = function(options) {
+    var output = this._currentOutput;
+    encoders.set(output, 'mpegopts', options);
+
+    if (!output.options.find('-of')) {
+      containers.set(output, 'mpeg');
+    }
+
+    return this;
+  };
+
+
+  /**
+   * Set libavformat muxer options
+   *
+   * Options override those set by the 'mp4', 'mkv', 'flv' and 'webm' format profiles.
+   * Selects the libavformat muxer when no format was specified.
+   *
+   * @example
+   * command.format('mp4').lavfOptions({ i_certify_that_my_video_stream_does_not_use_b_frames: true });
+   *
+   * @method MencoderCommand#lavfOptions
+   * @category Output
+   * @aliases withLavfOptions
+   *
+   * @param {Object} options muxer options (see the -lavfopts section of the mencoder manual),
+   *   flags are set with boolean values
+   * @return MencoderCommand
+   */
+  proto.withLavfOptions =
+  proto.lavfOptions = function(options) {
+    var output = this._currentOutput;
+    encoders.set(output, 'lavfopts', options);
+
+    if (!output.options.find('-of')) {
+      output.options('-of', 'lavf');
+    }
+
     return this;
   };
 
 
+  /**
+   * Copy video and audio streams without re-encoding them
+   *
+   * Changes the container of the input without the cost of a full transcode.  As frames
+   * cannot be dropped or duplicated in copied streams, '-noskip' and '-mc 0' are added to
+   * keep audio and video in sync (see {@link MencoderCommand#copyVideo} and
+   * {@link MencoderCommand#copyAudio} to only copy one stream).
+   *
+   * @example
+   * command.output('/path/to/output.mkv').format('mkv').copyStreams();
+   *
+   * @method MencoderCommand#copyStreams
+   * @category Output
+   * @aliases withStreamCopy
+   *
+   * @param {Object} [options] copy options
+   * @param {String} [options.fourcc] video FourCC (see {@link MencoderCommand#copyVideo})
+   * @param {Number|String} [options.formatTag] audio format tag (see {@link MencoderCommand#copyAudio})
+   * @return MencoderCommand
+   */
+  proto.withStreamCopy =
+  proto.copyStreams = function(options) {
+    options = options || {};
+
+    Object.keys(options).forEach(function(key) {
+      if (key !== 'fourcc' && key !== 'formatTag') {
+        throw new Error('Unknown stream copy option: ' + key);
+      }
+    });
+
+    return this
+      .copyVideo('fourcc' in options ? { fourcc: options.fourcc } : {})
+      .copyAudio('formatTag' in options ? { formatTag: options.formatTag } : {});
+  };
+
+
   /**
    * Add stream mapping to output
    *
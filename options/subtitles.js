@@ -0,0 +1,159 @@
+/*jshint node:true*/
+'use strict';
+
+var path = require('path');
+
+
+/*
+ *! Subtitle-related methods
+ */
+
+module.exports = function(proto) {
+  /**
+   * Burn subtitles into the output
+   *
+   * Subtitles can either come from an external file (text subtitles such as SRT,
+   * SSA/ASS or MicroDVD, or VobSub subtitles when passing an .idx file) or from
+   * a subtitle stream of the input.
+   *
+   * @example
+   * command.subtitles('/path/to/movie.srt', { encoding: 'cp1252', scale: 4, position: 95 });
+   *
+   * @example
+   * command.subtitles(1, { delay: -0.5 });
+   *
+   * @method MencoderCommand#subtitles
+   * @category Subtitles
+   * @aliases withSubtitles,burnSubtitles
+   *
+   * @param {String|Number} source subtitle file path or input subtitle stream id
+   * @param {Object} [options] subtitle rendering options
+   * @param {String} [options.font] font name or font file path
+   * @param {String} [options.encoding] subtitle file code page (eg. 'cp1252', 'enca:it:latin1')
+   * @param {Number} [options.position] vertical position, in percent of the screen height (0-100)
+   * @param {Number} [options.scale] text scale, in percent of the screen size
+   * @param {Number} [options.delay] subtitle delay in seconds
+   * @param {Boolean} [options.forcedOnly=false] only render forced subtitles (VobSub/DVD subtitles only)
+   * @return MencoderCommand
+   */
+  proto.withSubtitles =
+  proto.burnSubtitles =
+  proto.subtitles = function(source, options) {
+    var subtitles = this._currentOutput.subtitles;
+    options = options || {};
+
+    subtitles.clear();
+
+    if (typeof source === 'number') {
+      if (source < 0 || Math.floor(source) !== source) {
+        throw new Error('Invalid subtitle stream id: ' + source);
+      }
+
+      subtitles('-sid', source);
+    } else if (typeof source === 'string' && source.length) {
+      var ext = path.extname(source).toLowerCase();
+
+      if (ext === '.idx') {
+        // VobSub subtitles are specified by their basename
+        subtitles('-vobsub', source.substr(0, source.length - ext.length));
+      } else {
+        subtitles('-sub', source);
+
+        if (ext === '.ass' || ext === '.ssa') {
+          subtitles('-ass');
+        }
+      }
+    } else {
+      throw new Error('Invalid subtitle source');
+    }
+
+    Object.keys(options).forEach(function(key) {
+      var value = options[key];
+
+      switch (key) {
+        case 'font':
+          subtitles('-font', value);
+          break;
+
+        case 'encoding':
+          subtitles('-subcp', value);
+          break;
+
+        case 'position':
+          if (isNaN(Number(value)) || value < 0 || value > 100) {
+            throw new Error('Invalid subtitle position: ' + value);
+          }
+
+          subtitles('-subpos', Math.round(value));
+          break;
+
+        case 'scale':
+          if (isNaN(Number(value)) || value <= 0) {
+            throw new Error('Invalid subtitle scale: ' + value);
+          }
+
+          subtitles('-subfont-text-scale', value);
+          break;
+
+        case 'delay':
+          if (isNaN(Number(value))) {
+            throw new Error('Invalid subtitle delay: ' + value);
+          }
+
+          subtitles('-subdelay', value);
+          break;
+
+        case 'forcedOnly':
+          if (value) {
+            subtitles('-forcedsubsonly');
+          }
+          break;
+
+        default:
+          throw new Error('Unknown subtitle option: ' + key);
+      }
+    });
+
+    return this;
+  };
+
+
+  /**
+   * Extract DVD subtitles to VobSub files alongside the output
+   *
+   * Writes '<basename>.idx' and '<basename>.sub' files.  The subtitle stream is selected
+   * with {@link MencoderCommand#subtitleLanguage} or by passing a stream id to
+   * {@link MencoderCommand#subtitles}; subtitles are not burnt into the output
+   * when extracting them.
+   *
+   * @method MencoderCommand#vobsubOut
+   * @category Subtitles
+   * @aliases extractSubtitles
+   *
+   * @param {String} basename output file path, without extension
+   * @param {String} [lang] language code to store in the .idx file
+   * @param {Number} [index=0] subtitle index in the .idx file
+   * @return MencoderCommand
+   */
+  proto.extractSubtitles =
+  proto.vobsubOut = function(basename, lang, index) {
+    if (typeof basename !== 'string' || !basename.length) {
+      throw new Error('Invalid VobSub output basename');
+    }
+
+    var output = this._currentOutput;
+
+    output.options.remove('-vobsubout', 1);
+    output.options.remove('-vobsuboutindex', 1);
+    output.options.remove('-vobsuboutid', 1);
+
+    output.options('-vobsubout', basename.replace(/\.(idx|sub)$/i, ''));
+    output.options('-vobsuboutindex', index || 0);
+
+    if (lang) {
+      output.options('-vobsuboutid', lang);
+    }
+
+    return this;
+  };
+};
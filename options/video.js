@@ -2,6 +2,40 @@
 'use strict';
 
 var utils = require('../utils');
+var encoders = require('../encoders');
+
+
+/**
+ * Deinterlacing modes and the filters they use
+ *
+ * Filters in 'tail' are placed at the end of the filter chain, before scaling.
+ *
+ * @private
+ */
+var deinterlaceModes = {
+  yadif: { filters: ['yadif'] },
+  bob: { filters: ['yadif=1'] },
+  kerndeint: { filters: ['kerndeint'] },
+  'pp-lb': { filters: ['pp=lb'] },
+  ivtc: { filters: ['pullup'], tail: ['softskip'], fps: '24000/1001' },
+  detect: {}
+};
+
+
+/**
+ * Check whether a 'num/den' frame rate is close to a value
+ *
+ * @param {String} rate frame rate
+ * @param {Number} value expected value
+ * @return Boolean
+ * @private
+ */
+function isRate(rate, value) {
+  var parts = ('' + rate).split('/');
+  var fps = Number(parts[0]) / Number(parts[1] || 1);
+
+  return Math.abs(fps - value) < 0.01;
+}
 
 
 /*
@@ -40,11 +74,58 @@ module.exports = function(proto) {
    */
   proto.withVideoCodec =
   proto.videoCodec = function(codec) {
+    this._currentOutput.video.remove('-novideo');
+    this._currentOutput.video.remove('-ovc', 1);
     this._currentOutput.video('-ovc', codec);
     return this;
   };
 
 
+  /**
+   * Copy the video stream without re-encoding it
+   *
+   * Video filters cannot be used when copying the video stream.  The audio stream can
+   * still be re-encoded with {@link MencoderCommand#audioCodec}.
+   *
+   * @example
+   * // Keep video, re-encode audio to MP3
+   * command.copyVideo({ fourcc: 'XVID' }).audioCodec('mp3lame');
+   *
+   * @method MencoderCommand#copyVideo
+   * @category Video
+   * @aliases withVideoCopy
+   *
+   * @param {Object} [options] copy options
+   * @param {String} [options.fourcc] FourCC to store in the output (-ffourcc, AVI outputs only),
+   *   for streams mencoder does not identify properly
+   * @return MencoderCommand
+   */
+  proto.withVideoCopy =
+  proto.copyVideo = function(options) {
+    var output = this._currentOutput;
+    options = options || {};
+
+    Object.keys(options).forEach(function(key) {
+      if (key !== 'fourcc') {
+        throw new Error('Unknown video copy option: ' + key);
+      }
+    });
+
+    if ('fourcc' in options && !('' + options.fourcc).match(/^[\x20-\x7e]{4}$/)) {
+      throw new Error('Invalid fourcc: ' + options.fourcc);
+    }
+
+    output.video.remove('-ffourcc', 1);
+    this.videoCodec('copy');
+
+    if (options.fourcc) {
+      output.video('-ffourcc', options.fourcc);
+    }
+
+    return this;
+  };
+
+
   /**
    * Specify video bitrate
    *
@@ -52,27 +133,197 @@ module.exports = function(proto) {
    * @category Video
    * @aliases withVideoBitrate
    *
+   * The bitrate is passed to the selected video encoder when building the command line;
+   * bitrate options set directly on the encoder take precedence.
+   *
    * @param {String|Number} bitrate video bitrate in kbps (with an optional 'k' suffix)
    * @param {Boolean} [constant=false] enforce constant bitrate
    * @return MencoderCommand
    */
   proto.withVideoBitrate =
   proto.videoBitrate = function(bitrate, constant) {
-    bitrate = ('' + bitrate).replace(/k?$/, 'k');
+    bitrate = parseInt(('' + bitrate).replace(/k$/, ''), 10);
+
+    if (isNaN(bitrate) || bitrate <= 0) {
+      throw new Error('Invalid video bitrate');
+    }
+
+    this._currentOutput.encoding.videoBitrate = bitrate;
+    this._currentOutput.encoding.constantBitrate = !!constant;
+
+    return this;
+  };
+
+
+  /**
+   * Specify libavcodec encoder options
+   *
+   * Options are validated and merged with options from previous calls for the same
+   * output, then passed to mencoder as a single '-lavcopts' argument.  Boolean values
+   * are rendered as flags ('trell' or 'notrell').
+   *
+   * Specifying a 'vcodec' (resp. 'acodec') option also selects the 'lavc' video (resp. audio)
+   * encoder when no other encoder was specified.
+   *
+   * @example
+   * command.lavcOptions({ vcodec: 'mpeg4', vbitrate: 1800, mbd: 2, trell: true, v4mv: true });
+   *
+   * @method MencoderCommand#lavcOptions
+   * @category Video
+   * @aliases withLavcOptions
+   *
+   * @param {Object} options libavcodec options, see the mencoder manual for '-lavcopts'
+   * @return MencoderCommand
+   */
+  proto.withLavcOptions =
+  proto.lavcOptions = function(options) {
+    var output = this._currentOutput;
+    encoders.set(output, 'lavcopts', options);
+
+    if ('vcodec' in options && !output.video.find('-ovc')) {
+      output.video('-ovc', 'lavc');
+    }
+
+    if ('acodec' in options && !output.audio.find('-oac')) {
+      output.audio('-oac', 'lavc');
+    }
+
+    return this;
+  };
+
+
+  /**
+   * Specify x264 encoder options
+   *
+   * Options are validated against known x264 values and merged with options from
+   * previous calls for the same output, then passed to mencoder as a single
+   * '-x264encopts' argument.  Setting 'crf', 'qp' or 'bitrate' replaces the other
+   * two rate control options.
+   *
+   * Also selects the 'x264' video encoder when no other encoder was specified.
+   *
+   * @example
+   * command.x264Options({ preset: 'slow', tune: 'film', crf: 20, profile: 'high', level: '4.1' });
+   *
+   * @method MencoderCommand#x264Options
+   * @category Video
+   * @aliases withX264Options
+   *
+   * @param {Object} options x264 options
+   * @param {Number} [options.crf] constant rate factor (0-51)
+   * @param {Number} [options.bitrate] target bitrate in kbps
+   * @param {String} [options.preset] x264 preset name (ultrafast to placebo)
+   * @param {String} [options.tune] x264 tune name
+   * @param {String} [options.profile] H.264 profile
+   * @param {String} [options.level] H.264 level, eg. '4.1'
+   * @param {Number|String} [options.threads] thread count or 'auto'
+   * @param {Number} [options.keyint] maximum keyframe interval
+   * @param {Number} [options.bframes] maximum consecutive B-frames
+   * @param {Number} [options.ref] reference frame count
+   * @param {Number} [options.subme] subpixel motion estimation quality
+   * @param {Number} [options.pass] pass number for multi-pass encoding
+   * @return MencoderCommand
+   */
+  proto.withX264Options =
+  proto.x264Options = function(options) {
+    var output = this._currentOutput;
+    encoders.set(output, 'x264encopts', options);
+
+    if (!output.video.find('-ovc')) {
+      output.video('-ovc', 'x264');
+    }
+
+    return this;
+  };
+
+
+  /**
+   * Specify XviD encoder options
+   *
+   * Options are validated and merged with options from previous calls for the same
+   * output, then passed to mencoder as a single '-xvidencopts' argument.  Setting
+   * 'bitrate' replaces 'fixed_quant' and vice versa.
+   *
+   * Also selects the 'xvid' video encoder when no other encoder was specified.
+   *
+   * @example
+   * command.xvidOptions({ bitrate: 1200, me_quality: 6, vhq: 2, chroma_opt: true, autoaspect: true });
+   *
+   * @method MencoderCommand#xvidOptions
+   * @category Video
+   * @aliases withXvidOptions
+   *
+   * @param {Object} options XviD options
+   * @param {Number} [options.bitrate] target bitrate in kbps
+   * @param {Number} [options.fixed_quant] fixed quantizer (1-31)
+   * @param {Number} [options.pass] pass number for two-pass encoding
+   * @param {Number} [options.me_quality] motion estimation quality (0-6)
+   * @param {Number} [options.vhq] macroblock decision quality (0-4)
+   * @param {Boolean} [options.chroma_opt] enable chroma optimizer
+   * @param {Number} [options.max_bframes] maximum consecutive B-frames (0-4)
+   * @param {Boolean} [options.trellis] enable trellis quantization
+   * @param {Boolean} [options.cartoon] optimize for cartoon content
+   * @param {Boolean} [options.greyscale] discard chroma planes
+   * @param {Boolean} [options.autoaspect] store movie aspect internally
+   * @return MencoderCommand
+   */
+  proto.withXvidOptions =
+  proto.xvidOptions = function(options) {
+    var output = this._currentOutput;
+    encoders.set(output, 'xvidencopts', options);
 
-    this._currentOutput.video('-b:v', bitrate);
-    if (constant) {
-      this._currentOutput.video(
-        '-maxrate', bitrate,
-        '-minrate', bitrate,
-        '-bufsize', '3M'
-      );
+    if (!output.video.find('-ovc')) {
+      output.video('-ovc', 'xvid');
     }
 
     return this;
   };
 
 
+  /**
+   * Enable multi-pass encoding
+   *
+   * Runs mencoder once per pass with the same arguments, sharing a temporary pass log
+   * file that is removed when processing ends.  All passes but the last one discard
+   * audio and output.  Requires the lavc, x264 or xvid video encoder (xvid only supports
+   * two passes).
+   *
+   * @method MencoderCommand#multiPass
+   * @category Video
+   * @aliases withPasses,passes
+   *
+   * @param {Number} [passes=2] pass count (1 disables multi-pass encoding)
+   * @return MencoderCommand
+   */
+  proto.withPasses =
+  proto.passes =
+  proto.multiPass = function(passes) {
+    passes = typeof passes === 'undefined' ? 2 : Number(passes);
+
+    if (isNaN(passes) || passes < 1 || Math.floor(passes) !== passes) {
+      throw new Error('Invalid pass count: ' + passes);
+    }
+
+    this.options.passes = passes;
+    return this;
+  };
+
+
+  /**
+   * Enable two-pass encoding
+   *
+   * @method MencoderCommand#twoPass
+   * @category Video
+   * @aliases withTwoPasses
+   *
+   * @return MencoderCommand
+   */
+  proto.withTwoPasses =
+  proto.twoPass = function() {
+    return this.multiPass(2);
+  };
+
+
   /**
    * Specify custom video filter(s)
    *
@@ -181,4 +432,154 @@ module.exports = function(proto) {
     this._currentOutput.video('-vframes', frames);
     return this;
   };
+
+
+  /**
+   * Deinterlace video
+   *
+   * Available modes:
+   * - 'yadif': yadif deinterlacer, one frame per frame (default)
+   * - 'bob': yadif deinterlacer, one frame per field; output frame rate is doubled
+   * - 'kerndeint': kernel deinterlacer
+   * - 'pp-lb': linear blend postprocessing deinterlacer
+   * - 'ivtc': inverse telecine using pullup; output frame rate is set to 24000/1001
+   * - 'detect': choose a mode from input metadata.  Soft-telecined inputs (average frame rate
+   *   of 24000/1001 with a 30000/1001 stream frame rate) use 'ivtc', other interlaced inputs
+   *   use 'yadif' and progressive inputs are left untouched (as are inputs with an unknown
+   *   field order, with a warning).  Requires field order information, which only ffprobe
+   *   provides: validation fails when ffprobe is not available (see {@link MencoderCommand#validate})
+   *
+   * Modes 'bob' and 'detect' read metadata from the first input before running the command,
+   * unless an input frame rate is specified with 'bob'.
+   *
+   * @example
+   * command.deinterlace('ivtc');
+   *
+   * @example
+   * command.deinterlace({ mode: 'bob', fps: 25 });
+   *
+   * @method MencoderCommand#deinterlace
+   * @category Video
+   * @aliases withDeinterlace
+   *
+   * @param {String|Object} [options='yadif'] deinterlacing mode, or an object with the following keys:
+   * @param {String} [options.mode='yadif'] deinterlacing mode
+   * @param {Number|String} [options.fps] input frame rate, used by 'bob' mode
+   * @return MencoderCommand
+   */
+  proto.withDeinterlace =
+  proto.deinterlace = function(options) {
+    if (typeof options !== 'object' || options === null) {
+      options = { mode: options };
+    }
+
+    var mode = options.mode || 'yadif';
+
+    if (!(mode in deinterlaceModes)) {
+      throw new Error('Invalid deinterlacing mode: ' + mode);
+    }
+
+    if (options.fps !== undefined && !('' + options.fps).match(/^\d+(\.\d+)?(\/\d+)?$/)) {
+      throw new Error('Invalid input frame rate: ' + options.fps);
+    }
+
+    this._currentOutput.flags.deinterlace = { mode: mode, fps: options.fps };
+    return this;
+  };
+
+
+  /**
+   * List filters the deinterlacing settings of an output may use
+   *
+   * Does not need input metadata: 'detect' mode lists the filters of all modes it may choose.
+   *
+   * @method MencoderCommand#_getDeinterlacingFilters
+   * @param {Object} output output specification
+   * @return filter string array
+   * @private
+   */
+  proto._getDeinterlacingFilters = function(output) {
+    var settings = output.flags.deinterlace;
+
+    if (!settings) {
+      return [];
+    }
+
+    var modes = settings.mode === 'detect' ? ['yadif', 'ivtc'] : [settings.mode];
+
+    return modes.reduce(function(filters, mode) {
+      return filters.concat(deinterlaceModes[mode].filters, deinterlaceModes[mode].tail || []);
+    }, []);
+  };
+
+
+  /**
+   * Resolve deinterlacing filters and output frame rate for an output
+   *
+   * Uses input metadata from this._ffprobeData for 'bob' and 'detect' modes.
+   *
+   * @method MencoderCommand#_getDeinterlacing
+   * @param {Object} output output specification
+   * @return Object with 'filters' and 'tail' filter lists and an optional 'fps' output frame rate
+   * @private
+   */
+  proto._getDeinterlacing = function(output) {
+    var settings = output.flags.deinterlace;
+    var result = { filters: [], tail: [] };
+
+    if (!settings) {
+      return result;
+    }
+
+    var mode = settings.mode;
+    var metadata = this._ffprobeData;
+    var vstream = metadata && metadata.streams.filter(function(stream) {
+      return stream.codec_type === 'video';
+    })[0];
+
+    if (mode === 'detect') {
+      if (!vstream) {
+        throw new Error('Could not read input metadata, cannot detect interlacing');
+      }
+
+      // Soft telecine: film frames with repeat-field flags, streams may be flagged as progressive
+      var telecined = isRate(vstream.avg_frame_rate, 24000 / 1001) &&
+        isRate(vstream.r_frame_rate, 30000 / 1001);
+
+      if (!telecined && !vstream.field_order) {
+        throw new Error('Input field order is not available (ffprobe is required), ' +
+          'cannot detect interlacing; specify a deinterlacing mode instead');
+      }
+
+      if (telecined) {
+        mode = 'ivtc';
+      } else if (vstream.field_order === 'unknown') {
+        this.logger.warn('Input field order is unknown, not deinterlacing');
+        return result;
+      } else if (['tt', 'bb', 'tb', 'bt'].indexOf(vstream.field_order) !== -1) {
+        mode = 'yadif';
+      } else {
+        return result;
+      }
+    }
+
+    var spec = deinterlaceModes[mode];
+
+    result.filters = spec.filters;
+    result.tail = spec.tail || [];
+    result.fps = spec.fps;
+
+    if (mode === 'bob') {
+      var fps = settings.fps || (vstream && vstream.r_frame_rate);
+
+      if (!fps || fps === '0/0') {
+        throw new Error('Could not read input frame rate, cannot double it for bob deinterlacing');
+      }
+
+      var parts = ('' + fps).split('/');
+      result.fps = parts.length > 1 ? (Number(parts[0]) * 2) + '/' + parts[1] : Number(parts[0]) * 2;
+    }
+
+    return result;
+  };
 };
@@ -0,0 +1,330 @@
+/*jshint node:true*/
+'use strict';
+
+
+/**
+ * Check that all values are numbers
+ *
+ * @param {String} filter filter name, for error messages
+ * @param {Array} values values to check (undefined values are ignored)
+ * @private
+ */
+function checkNumbers(filter, values) {
+  values.forEach(function(value) {
+    if (typeof value !== 'undefined' && (value === null || value === '' || isNaN(Number(value)))) {
+      throw new Error('Invalid ' + filter + ' parameter: ' + value);
+    }
+  });
+}
+
+
+/**
+ * Build a filter specification with positional options, dropping trailing undefined options
+ *
+ * @param {String} filter filter name
+ * @param {Array} options positional options
+ * @return filter specification
+ * @private
+ */
+function positional(filter, options) {
+  while (options.length && typeof options[options.length - 1] === 'undefined') {
+    options.pop();
+  }
+
+  // mencoder uses empty values for defaults in the middle of the list
+  options = options.map(function(option) {
+    return typeof option === 'undefined' ? '' : option;
+  });
+
+  return options.length ? { filter: filter, options: options } : filter;
+}
+
+
+/*
+ *! mencoder video filter methods
+ *
+ * These are typed shortcuts to {@link MencoderCommand#videoFilters}; filters are
+ * applied in the order they are added.
+ */
+
+module.exports = function(proto) {
+  /**
+   * Scale video
+   *
+   * Special values for width and height:
+   * - 0: scale to display width/height
+   * - -1: keep original width/height
+   * - -2: compute from the other dimension using the display aspect ratio
+   * - -3: compute from the other dimension using the original aspect ratio
+   *
+   * @method MencoderCommand#scale
+   * @category Video filters
+   *
+   * @param {Number} width output width
+   * @param {Number} height output height
+   * @return MencoderCommand
+   */
+  proto.scale = function(width, height) {
+    checkNumbers('scale', [width, height]);
+    return this.videoFilters(positional('scale', [width, height]));
+  };
+
+
+  /**
+   * Expand (pad) video with black borders
+   *
+   * @method MencoderCommand#expand
+   * @category Video filters
+   *
+   * @param {Number} width expanded width
+   * @param {Number} height expanded height
+   * @param {Number} [x] horizontal position of the original image (centered by default)
+   * @param {Number} [y] vertical position of the original image (centered by default)
+   * @return MencoderCommand
+   */
+  proto.expand = function(width, height, x, y) {
+    checkNumbers('expand', [width, height, x, y]);
+    return this.videoFilters(positional('expand', [width, height, x, y]));
+  };
+
+
+  /**
+   * Crop video
+   *
+   * @method MencoderCommand#crop
+   * @category Video filters
+   *
+   * @param {Number} width cropped width
+   * @param {Number} height cropped height
+   * @param {Number} [x] horizontal position of the cropped area (centered by default)
+   * @param {Number} [y] vertical position of the cropped area (centered by default)
+   * @return MencoderCommand
+   */
+  proto.crop = function(width, height, x, y) {
+    checkNumbers('crop', [width, height, x, y]);
+    return this.videoFilters(positional('crop', [width, height, x, y]));
+  };
+
+
+  /**
+   * Automatically crop black borders
+   *
+   * The crop area is detected with {@link MencoderCommand#detectCrop} on the last
+   * specified input when running the command, and applied before any other video filter.
+   *
+   * @method MencoderCommand#autoCrop
+   * @category Video filters
+   * @aliases autocrop
+   *
+   * @param {Object|Boolean} [options=true] detection options (see {@link MencoderCommand#detectCrop}),
+   *   or false to disable automatic cropping
+   * @return MencoderCommand
+   */
+  proto.autocrop =
+  proto.autoCrop = function(options) {
+    if (options === false) {
+      delete this._currentOutput.flags.autocrop;
+    } else {
+      this._currentOutput.flags.autocrop = typeof options === 'object' ? options : {};
+    }
+
+    return this;
+  };
+
+
+  /**
+   * Change display size or aspect ratio
+   *
+   * @example
+   * command.dsize('16/9');
+   *
+   * @example
+   * command.dsize(720, 576, 0, 2);
+   *
+   * @method MencoderCommand#dsize
+   * @category Video filters
+   * @aliases displaySize
+   *
+   * @param {Number|String} aspectOrWidth display aspect ratio (number or 'X/Y' string), or display width
+   * @param {Number} [height] display height
+   * @param {Number} [method] aspect method (-1 to ignore original aspect ratio, 0-3 to keep it)
+   * @param {Number} [round] round display size to multiples of this value
+   * @return MencoderCommand
+   */
+  proto.displaySize =
+  proto.dsize = function(aspectOrWidth, height, method, round) {
+    if (typeof height === 'undefined') {
+      if (!('' + aspectOrWidth).match(/^\d+(\.\d+)?(\/\d+(\.\d+)?)?$/)) {
+        throw new Error('Invalid dsize aspect ratio: ' + aspectOrWidth);
+      }
+
+      return this.videoFilters({ filter: 'dsize', options: aspectOrWidth });
+    }
+
+    checkNumbers('dsize', [aspectOrWidth, height, method, round]);
+    return this.videoFilters(positional('dsize', [aspectOrWidth, height, method, round]));
+  };
+
+
+  /**
+   * Duplicate frames when needed to keep output frame rate constant
+   *
+   * Always placed at the end of the filter chain.  Recommended for MPEG, AVI with
+   * -ofps and formats requiring a constant frame rate.
+   *
+   * @method MencoderCommand#harddup
+   * @category Video filters
+   *
+   * @return MencoderCommand
+   */
+  proto.harddup = function() {
+    return this.videoFilters('harddup');
+  };
+
+
+  /**
+   * Let the encoder skip frames instead of the demuxer
+   *
+   * Should be placed at the end of the filter chain, just before scaling;
+   * mainly used with inverse telecine filters.
+   *
+   * @method MencoderCommand#softskip
+   * @category Video filters
+   *
+   * @return MencoderCommand
+   */
+  proto.softskip = function() {
+    return this.videoFilters('softskip');
+  };
+
+
+  /**
+   * Deinterlace video using yadif
+   *
+   * @method MencoderCommand#yadif
+   * @category Video filters
+   *
+   * @param {Number} [mode=0] 0 for one frame per frame, 1 for one frame per field,
+   *   2 and 3 for the same modes without spatial interlacing check
+   * @return MencoderCommand
+   */
+  proto.yadif = function(mode) {
+    if (typeof mode !== 'undefined' && [0, 1, 2, 3].indexOf(mode) === -1) {
+      throw new Error('Invalid yadif mode: ' + mode);
+    }
+
+    return this.videoFilters(positional('yadif', [mode]));
+  };
+
+
+  /**
+   * Apply postprocessing filters
+   *
+   * @example
+   * command.pp('hb/vb/dr/al');
+   *
+   * @example
+   * command.pp(['hb', 'vb', 'dr', 'lb']);
+   *
+   * @method MencoderCommand#pp
+   * @category Video filters
+   * @aliases postprocess
+   *
+   * @param {String|String[]} [subfilters='de'] postprocessing subfilter string or list
+   * @return MencoderCommand
+   */
+  proto.postprocess =
+  proto.pp = function(subfilters) {
+    if (Array.isArray(subfilters)) {
+      subfilters = subfilters.join('/');
+    }
+
+    if (typeof subfilters !== 'undefined' && (typeof subfilters !== 'string' || subfilters.match(/[,\s]/))) {
+      throw new Error('Invalid pp subfilters: ' + subfilters);
+    }
+
+    return this.videoFilters(subfilters ? { filter: 'pp', options: subfilters } : 'pp');
+  };
+
+
+  /**
+   * Reduce noise using denoise3d
+   *
+   * @method MencoderCommand#denoise3d
+   * @category Video filters
+   *
+   * @param {Number} [lumaSpatial=4] spatial luma strength
+   * @param {Number} [chromaSpatial=3] spatial chroma strength
+   * @param {Number} [lumaTemporal=6] temporal luma strength
+   * @param {Number} [chromaTemporal] temporal chroma strength
+   * @return MencoderCommand
+   */
+  proto.denoise3d = function(lumaSpatial, chromaSpatial, lumaTemporal, chromaTemporal) {
+    checkNumbers('denoise3d', [lumaSpatial, chromaSpatial, lumaTemporal, chromaTemporal]);
+    return this.videoFilters(positional('denoise3d', [lumaSpatial, chromaSpatial, lumaTemporal, chromaTemporal]));
+  };
+
+
+  /**
+   * Reduce noise using hqdn3d (higher quality and slower than denoise3d)
+   *
+   * @method MencoderCommand#hqdn3d
+   * @category Video filters
+   *
+   * @param {Number} [lumaSpatial=4] spatial luma strength
+   * @param {Number} [chromaSpatial=3] spatial chroma strength
+   * @param {Number} [lumaTemporal=6] temporal luma strength
+   * @param {Number} [chromaTemporal] temporal chroma strength
+   * @return MencoderCommand
+   */
+  proto.hqdn3d = function(lumaSpatial, chromaSpatial, lumaTemporal, chromaTemporal) {
+    checkNumbers('hqdn3d', [lumaSpatial, chromaSpatial, lumaTemporal, chromaTemporal]);
+    return this.videoFilters(positional('hqdn3d', [lumaSpatial, chromaSpatial, lumaTemporal, chromaTemporal]));
+  };
+
+
+  /**
+   * Rotate video by 90 degrees and optionally flip it
+   *
+   * @method MencoderCommand#rotate
+   * @category Video filters
+   *
+   * @param {Number} [mode=0] 0: rotate clockwise and flip, 1: rotate clockwise,
+   *   2: rotate counterclockwise, 3: rotate counterclockwise and flip;
+   *   4-7 only rotate when the video is in portrait orientation
+   * @return MencoderCommand
+   */
+  proto.rotate = function(mode) {
+    if (typeof mode !== 'undefined' && [0, 1, 2, 3, 4, 5, 6, 7].indexOf(mode) === -1) {
+      throw new Error('Invalid rotate mode: ' + mode);
+    }
+
+    return this.videoFilters(positional('rotate', [mode]));
+  };
+
+
+  /**
+   * Flip video upside-down
+   *
+   * @method MencoderCommand#flip
+   * @category Video filters
+   *
+   * @return MencoderCommand
+   */
+  proto.flip = function() {
+    return this.videoFilters('flip');
+  };
+
+
+  /**
+   * Mirror video along the Y axis
+   *
+   * @method MencoderCommand#mirror
+   * @category Video filters
+   *
+   * @return MencoderCommand
+   */
+  proto.mirror = function() {
+    return this.videoFilters('mirror');
+  };
+};
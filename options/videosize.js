@@ -1,57 +1,38 @@
 /*jshint node:true*/
 'use strict';
 
+var utils = require('../utils');
+
 /*
  *! Size helpers
  */
 
 
 /**
- * Return filters to pad video to width*height,
+ * Return filters to fit video into width*height and pad it
  *
  * @param {Number} width output width
  * @param {Number} height output height
- * @param {Number} aspect video aspect ratio (without padding)
- * @param {Number} color padding color
- * @return scale/pad filters
+ * @return dsize/scale/expand filters
  * @private
  */
-function getScalePadFilters(width, height, aspect, color) {
-  /*
-    let a be the input aspect ratio, A be the requested aspect ratio
-
-    if a > A, padding is done on top and bottom
-    if a < A, padding is done on left and right
-   */
-
+function getScalePadFilters(width, height) {
   return [
     /*
-      In both cases, we first have to scale the input to match the requested size.
-      When using computed width/height, we truncate them to multiples of 2
+      First compute the largest display size that fits in the requested size while keeping
+      the input display aspect ratio, rounded to multiples of 2
      */
-    {
-      filter: 'scale',
-      options: {
-        w: 'if(gt(a,' + aspect + '),' + width + ',trunc(' + height + '*a/2)*2)',
-        h: 'if(lt(a,' + aspect + '),' + height + ',trunc(' + width + '/a/2)*2)'
-      }
-    },
+    { filter: 'dsize', options: [width, height, 0, 2] },
 
     /*
-      Then we pad the scaled input to match the target size
-      (here iw and ih refer to the padding input, i.e the scaled output)
+      Scale the input to this display size (0 means "use the display size")
      */
+    { filter: 'scale', options: [0, 0] },
 
-    {
-      filter: 'pad',
-      options: {
-        w: width,
-        h: height,
-        x: 'if(gt(a,' + aspect + '),0,(' + width + '-iw)/2)',
-        y: 'if(lt(a,' + aspect + '),0,(' + height + '-ih)/2)',
-        color: color
-      }
-    }
+    /*
+      Then pad the scaled input to match the target size (expand centers the image by default)
+     */
+    { filter: 'expand', options: [width, height] }
   ];
 }
 
@@ -59,10 +40,14 @@ function getScalePadFilters(width, height, aspect, color) {
 /**
  * Recompute size filters
  *
+ * Percent sizes cannot be expressed with mencoder filters, they are returned as a 'scale'
+ * filter with a 'ratio' property that is resolved using input metadata when building the
+ * command line (see {@link MencoderCommand#_getSizeFilters}).
+ *
  * @param {Object} output
  * @param {String} key newly-added parameter name ('size', 'aspect' or 'pad')
  * @param {String} value newly-added parameter value
- * @return filter string array
+ * @return filter specification array
  * @private
  */
 function createSizeFilters(output, key, value) {
@@ -71,8 +56,8 @@ function createSizeFilters(output, key, value) {
   data[key] = value;
 
   if (!('size' in data)) {
-    // No size requested, keep original size
-    return [];
+    // No size requested, keep original size and only set display aspect ratio if requested
+    return ('aspect' in data) ? [{ filter: 'dsize', options: data.aspect }] : [];
   }
 
   // Try to match the different size string formats
@@ -80,29 +65,20 @@ function createSizeFilters(output, key, value) {
   var fixedWidth = data.size.match(/([0-9]+)x\?/);
   var fixedHeight = data.size.match(/\?x([0-9]+)/);
   var percentRatio = data.size.match(/\b([0-9]{1,3})%/);
-  var width, height, aspect;
+  var width, height;
 
   if (percentRatio) {
-    var ratio = Number(percentRatio[1]) / 100;
-    return [{
-      filter: 'scale',
-      options: {
-        w: 'trunc(iw*' + ratio + '/2)*2',
-        h: 'trunc(ih*' + ratio + '/2)*2'
-      }
-    }];
+    return [{ filter: 'scale', ratio: Number(percentRatio[1]) / 100 }];
   } else if (fixedSize) {
     // Round target size to multiples of 2
     width = Math.round(Number(fixedSize[1]) / 2) * 2;
     height = Math.round(Number(fixedSize[2]) / 2) * 2;
 
-    aspect = width / height;
-
     if (data.pad) {
-      return getScalePadFilters(width, height, aspect, data.pad);
+      return getScalePadFilters(width, height);
     } else {
       // No autopad requested, rescale to target size
-      return [{ filter: 'scale', options: { w: width, h: height }}];
+      return [{ filter: 'scale', options: [width, height] }];
     }
   } else if (fixedWidth || fixedHeight) {
     if ('aspect' in data) {
@@ -115,30 +91,18 @@ function createSizeFilters(output, key, value) {
       height = Math.round(height / 2) * 2;
 
       if (data.pad) {
-        return getScalePadFilters(width, height, data.aspect, data.pad);
+        return getScalePadFilters(width, height);
       } else {
         // No autopad requested, rescale to target size
-        return [{ filter: 'scale', options: { w: width, h: height }}];
+        return [{ filter: 'scale', options: [width, height] }];
       }
     } else {
-      // Keep input aspect ratio
+      // Keep input aspect ratio (-2 computes a dimension from the other one and the display aspect ratio)
 
       if (fixedWidth) {
-        return [{
-          filter: 'scale',
-          options: {
-            w: Math.round(Number(fixedWidth[1]) / 2) * 2,
-            h: 'trunc(ow/a/2)*2'
-          }
-        }];
+        return [{ filter: 'scale', options: [Math.round(Number(fixedWidth[1]) / 2) * 2, -2] }];
       } else {
-        return [{
-          filter: 'scale',
-          options: {
-            w: 'trunc(oh*a/2)*2',
-            h: Math.round(Number(fixedHeight[1]) / 2) * 2
-          }
-        }];
+        return [{ filter: 'scale', options: [-2, Math.round(Number(fixedHeight[1]) / 2) * 2] }];
       }
     }
   } else {
@@ -152,6 +116,43 @@ function createSizeFilters(output, key, value) {
  */
 
 module.exports = function(proto) {
+  /**
+   * Return size filter strings for an output
+   *
+   * Resolves percent sizes using input metadata, which must have been read before.
+   *
+   * @method MencoderCommand#_getSizeFilters
+   * @param {Object} output output specification
+   * @return filter string array
+   * @private
+   */
+  proto._getSizeFilters = function(output) {
+    var metadata = this._ffprobeData;
+
+    return utils.makeFilterStrings(output.sizeFilters.get().map(function(filter) {
+      if (!('ratio' in filter)) {
+        return filter;
+      }
+
+      var vstream = metadata && metadata.streams.filter(function(stream) {
+        return stream.codec_type === 'video' && stream.width;
+      })[0];
+
+      if (!vstream) {
+        throw new Error('Cannot compute percent size without input metadata');
+      }
+
+      return {
+        filter: 'scale',
+        options: [
+          Math.round(vstream.width * filter.ratio / 2) * 2,
+          Math.round(vstream.height * filter.ratio / 2) * 2
+        ]
+      };
+    }));
+  };
+
+
   /**
    * Keep display aspect ratio
    *
@@ -169,19 +170,8 @@ module.exports = function(proto) {
   proto.keepDisplayAspect =
   proto.keepDisplayAspectRatio =
   proto.keepDAR = function() {
-    return this.videoFilters([
-      {
-        filter: 'scale',
-        options: {
-          w: 'if(gt(sar,1),iw*sar,iw)',
-          h: 'if(lt(sar,1),ih/sar,ih)'
-        }
-      },
-      {
-        filter: 'setsar',
-        options: '1'
-      }
-    ]);
+    // Scaling to 0:0 scales to the display size
+    return this.videoFilters({ filter: 'scale', options: [0, 0] });
   };
 
 
@@ -258,7 +248,7 @@ module.exports = function(proto) {
    * @aliases applyAutopadding,applyAutoPadding,applyAutopad,applyAutoPad,withAutopadding,withAutoPadding,withAutopad,withAutoPad,autoPad
    *
    * @param {Boolean} [pad=true] enable/disable auto-padding
-   * @param {String} [color='black'] pad color
+   * @param {String} [color='black'] pad color (mencoder only supports black)
    */
   proto.applyAutopadding =
   proto.applyAutoPadding =
@@ -281,7 +271,11 @@ module.exports = function(proto) {
       pad = true;
     }
 
-    var filters = createSizeFilters(this._currentOutput, 'pad', pad ? color || 'black' : false);
+    if (color && color !== 'black') {
+      throw new Error('Invalid pad color: ' + color + ', mencoder only supports black padding');
+    }
+
+    var filters = createSizeFilters(this._currentOutput, 'pad', !!pad);
 
     this._currentOutput.sizeFilters.clear();
     this._currentOutput.sizeFilters(filters);
@@ -0,0 +1,42 @@
+/*jshint node:true */
+'use strict';
+
+/*
+ * DVD-Video compliant MPEG-2 program stream
+ *
+ * Usage: command.preset('dvd', 'ntsc', { aspect: '16/9' });
+ *
+ * The aspect ratio is only signaled in the stream, the source should already have it.
+ */
+
+var standards = {
+  pal: { size: '720x576', fps: 25, keyint: 15 },
+  ntsc: { size: '720x480', fps: '30000/1001', keyint: 18 }
+};
+
+exports.load = function(command, standard, options) {
+  var settings = standards[standard || 'pal'];
+  options = options || {};
+
+  if (!settings) {
+    throw new Error('Invalid DVD standard: ' + standard + ' (expected pal or ntsc)');
+  }
+
+  command
+    .format('dvd')
+    .lavcOptions({
+      vcodec: 'mpeg2video',
+      vrc_buf_size: 1835,
+      vrc_maxrate: 9800,
+      keyint: settings.keyint,
+      vstrict: 0,
+      aspect: options.aspect || '4/3',
+      acodec: 'ac3'
+    })
+    .videoBitrate(options.videoBitrate || 5000)
+    .audioBitrate(options.audioBitrate || 192)
+    .audioFrequency(48000)
+    .size(settings.size)
+    .fps(settings.fps)
+    .harddup();
+};
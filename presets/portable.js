@@ -0,0 +1,23 @@
+/*jshint node:true */
+'use strict';
+
+/*
+ * MP4 file playable on most portable devices (H.264 baseline profile, AAC stereo audio)
+ *
+ * Usage: command.preset('portable', { width: 480 });
+ */
+
+exports.load = function(command, options) {
+  options = options || {};
+
+  command
+    .format('mp4')
+    .x264Options({ profile: 'baseline', level: '3', preset: 'medium' })
+    .videoBitrate(options.videoBitrate || 768)
+    .audioCodec('faac')
+    .audioBitrate(options.audioBitrate || 128)
+    .audioChannels(2)
+    .audioFrequency(44100)
+    .size((options.width || 640) + 'x?')
+    .harddup();
+};
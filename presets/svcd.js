@@ -0,0 +1,43 @@
+/*jshint node:true */
+'use strict';
+
+/*
+ * Super VideoCD compliant MPEG-2 program stream
+ *
+ * Usage: command.preset('svcd', 'pal', { videoBitrate: 2000 });
+ *
+ * SVCD allows up to 2600kbps for video and audio combined, with MP2 audio at 44100Hz.
+ */
+
+var standards = {
+  pal: { size: '480x576', fps: 25, keyint: 15 },
+  ntsc: { size: '480x480', fps: '30000/1001', keyint: 18 }
+};
+
+exports.load = function(command, standard, options) {
+  var settings = standards[standard || 'pal'];
+  options = options || {};
+
+  if (!settings) {
+    throw new Error('Invalid SVCD standard: ' + standard + ' (expected pal or ntsc)');
+  }
+
+  command
+    .format('svcd')
+    .lavcOptions({
+      vcodec: 'mpeg2video',
+      mbd: 2,
+      vrc_buf_size: 917,
+      vrc_minrate: 600,
+      vrc_maxrate: 2500,
+      keyint: settings.keyint,
+      aspect: options.aspect || '4/3',
+      acodec: 'mp2'
+    })
+    .videoBitrate(options.videoBitrate || 2500)
+    .audioBitrate(options.audioBitrate || 224)
+    .audioFrequency(44100)
+    .size(settings.size)
+    .fps(settings.fps)
+    .harddup();
+};
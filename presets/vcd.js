@@ -0,0 +1,42 @@
+/*jshint node:true */
+'use strict';
+
+/*
+ * VideoCD compliant MPEG-1 program stream
+ *
+ * Usage: command.preset('vcd', 'ntsc', { aspect: '4/3' });
+ *
+ * VCD requires constant 1152kbps video and 224kbps MP2 audio at 44100Hz.
+ */
+
+var standards = {
+  pal: { size: '352x288', fps: 25, keyint: 15 },
+  ntsc: { size: '352x240', fps: '30000/1001', keyint: 18 }
+};
+
+exports.load = function(command, standard, options) {
+  var settings = standards[standard || 'pal'];
+  options = options || {};
+
+  if (!settings) {
+    throw new Error('Invalid VCD standard: ' + standard + ' (expected pal or ntsc)');
+  }
+
+  command
+    .format('vcd')
+    .lavcOptions({
+      vcodec: 'mpeg1video',
+      vrc_buf_size: 327,
+      vrc_minrate: 1152,
+      vrc_maxrate: 1152,
+      keyint: settings.keyint,
+      aspect: options.aspect || '4/3',
+      acodec: 'mp2'
+    })
+    .videoBitrate(1152)
+    .audioBitrate(224)
+    .audioFrequency(44100)
+    .size(settings.size)
+    .fps(settings.fps)
+    .harddup();
+};
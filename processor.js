@@ -4,8 +4,16 @@
 var spawn = require('child_process').spawn;
 var path = require('path');
 var fs = require('fs');
+var os = require('os');
 var async = require('async');
 var utils = require('./utils');
+var encoders = require('./encoders');
+var containers = require('./containers');
+var MencoderError = require('./errors');
+
+var nullDevice = utils.isWindows ? 'NUL' : '/dev/null';
+var stdoutDevice = utils.isWindows ? '-' : '/dev/stdout';
+var nlRegexp = /\r\n|\r|\n/;
 
 
 /*
@@ -14,18 +22,56 @@ var utils = require('./utils');
 
 
 /**
- * Run ffprobe asynchronously and store data in command
+ * Run ffprobe (or mplayer -identify) asynchronously and store data in command
  *
  * @param {MencoderCommand} command
  * @private
  */
 function runFfprobe(command) {
-  command.ffprobe(0, function(err, data) {
+  command._probe(0, function(err, data) {
     command._ffprobeData = data;
   });
 }
 
 
+/**
+ * Check whether building arguments for an output uses input metadata
+ *
+ * Percent sizes and deinterlacing in 'detect' and 'bob' modes are computed from input metadata.
+ *
+ * @param {Object} output output specification
+ * @return Boolean
+ * @private
+ */
+function usesInputMetadata(output) {
+  var settings = output.flags.deinterlace;
+
+  var percentSize = output.sizeFilters.get().some(function(filter) {
+    return typeof filter === 'object' && 'ratio' in filter;
+  });
+
+  return percentSize || !!(settings && (settings.mode === 'detect' || (settings.mode === 'bob' && !settings.fps)));
+}
+
+
+/**
+ * Apply the niceness wrapper to a command line
+ *
+ * @param {String} command mencoder path
+ * @param {Array} args mencoder argument list
+ * @param {Number} [niceness] process niceness, ignored on Windows
+ * @return Array full command line, starting with the command
+ * @private
+ */
+function niceCommandLine(command, args, niceness) {
+  if (niceness && niceness !== 0 && !utils.isWindows) {
+    return ['nice', '-n', String(niceness), command].concat(args);
+  }
+
+  return [command].concat(args);
+}
+
+
 module.exports = function(proto) {
   /**
    * Emitted just after mencoder has been spawned.
@@ -40,11 +86,18 @@ module.exports = function(proto) {
    * @event MencoderCommand#progress
    * @param {Object} progress progress object
    * @param {Number} progress.frames number of frames transcoded
+   * @param {Number} progress.position current position in the input in seconds
+   * @param {Number} progress.percent processing progress
    * @param {Number} progress.currentFps current processing speed in frames per second
-   * @param {Number} progress.currentKbps current output generation speed in kilobytes per second
-   * @param {Number} progress.targetSize current output file size
-   * @param {String} progress.timemark current video timemark
-   * @param {Number} [progress.percent] processing progress (may not be available depending on input)
+   * @param {Number} progress.remaining estimated remaining processing time in seconds
+   * @param {Number} progress.targetSize estimated output file size in megabytes
+   * @param {Number} [progress.avDelay] current audio/video delay in seconds
+   * @param {Number} [progress.videoBitrate] current video bitrate in kbps
+   * @param {Number} [progress.audioBitrate] current audio bitrate in kbps
+   * @param {Number} [progress.output] 0-based index of the output being processed, for multi-output
+   *   commands ('percent' then reports overall progress)
+   * @param {Number} [progress.outputs] output count, for multi-output commands
+   * @param {Number} [progress.outputPercent] output processing progress, for multi-output commands
    */
 
   /**
@@ -59,6 +112,26 @@ module.exports = function(proto) {
    * @param {String} codecData.video_details input video codec parameters
    */
 
+  /**
+   * Emitted when an output has been written
+   *
+   * mencoder writes a single output per process; commands with several outputs run one
+   * process for each output and emit 'end' when all outputs are done.
+   *
+   * @event MencoderCommand#outputEnd
+   * @param {String|Writable} target output file path or stream
+   * @param {String|null} stdout mencoder stdout for this output, unless outputting to a stream
+   * @param {String} stderr mencoder stderr for this output
+   */
+
+  /**
+   * Emitted when processing an output fails, just before the 'error' event
+   *
+   * @event MencoderCommand#outputError
+   * @param {Error} error error object
+   * @param {String|Writable} target output file path or stream
+   */
+
   /**
    * Emitted when an error happens when preparing or running a command
    *
@@ -76,6 +149,32 @@ module.exports = function(proto) {
    */
 
 
+  /**
+   * Build the command line used to spawn an mencoder process
+   *
+   * Resolves the mencoder binary path and applies the niceness wrapper.  The 'options'
+   * argument may contain the 'niceness' key (see {@link MencoderCommand#_spawnMencoder}).
+   *
+   * @method MencoderCommand#_getCommandLine
+   * @param {Array} args mencoder command line argument list
+   * @param {Object} options spawn options
+   * @param {Function} callback callback with signature (err, command, args)
+   * @private
+   */
+  proto._getCommandLine = function(args, options, callback) {
+    this._getMencoderPath(function(err, command) {
+      if (err) {
+        return callback(err);
+      } else if (!command || command.length === 0) {
+        return callback(new Error('Cannot find mencoder'));
+      }
+
+      var commandLine = niceCommandLine(command, args, options.niceness);
+      callback(null, commandLine[0], commandLine.slice(1));
+    });
+  };
+
+
   /**
    * Spawn an mencoder process
    *
@@ -93,11 +192,15 @@ module.exports = function(proto) {
    * @method MencoderCommand#_spawnMencoder
    * @param {Array} args mencoder command line argument list
    * @param {Object} [options] spawn options (see above)
-   * @param {Function} [processCB] callback called with process object when it has been created
+   * @param {Function} [processCB] callback called with process object, shell-safe command
+   *   line and full command argument list (including the mencoder path or 'nice' wrapper)
+   *   when it has been created
    * @param {Function} endCB callback with signature (err, stdout, stderr)
    * @private
    */
   proto._spawnMencoder = function(args, options, processCB, endCB) {
+    var self = this;
+
     // Enable omitting options
     if (typeof options === 'function') {
       endCB = processCB;
@@ -111,18 +214,9 @@ module.exports = function(proto) {
       processCB = function() {};
     }
 
-    // Find mencoder
-    this._getMencoderPath(function(err, command) {
+    this._getCommandLine(args, options, function(err, command, args) {
       if (err) {
         return endCB(err);
-      } else if (!command || command.length === 0) {
-        return endCB(new Error('Cannot find mencoder'));
-      }
-
-      // Apply niceness
-      if (options.niceness && options.niceness !== 0 && !utils.isWindows) {
-        args.unshift('-n', options.niceness, command);
-        command = 'nice';
       }
 
       var stdout = null;
@@ -132,8 +226,9 @@ module.exports = function(proto) {
       var stderrClosed = false;
 
       // Spawn process
-      console.log("Spawn command mencoder with arguments: ");
-      console.log(command + ' ' + args.join(' '));
+      var commandArgs = [command].concat(args);
+      var commandLine = utils.shellQuote(commandArgs);
+      self.logger.debug('Spawning ' + commandLine);
       var mencoderProc = spawn(command, args, options);
 
       if (mencoderProc.stderr && options.captureStderr) {
@@ -164,9 +259,17 @@ module.exports = function(proto) {
         processExited = true;
 
         if (signal) {
-          handleExit(new Error('mencoder was killed with signal ' + signal));
+          handleExit(new MencoderError('mencoder was killed with signal ' + signal, {
+            signal: signal,
+            args: commandArgs,
+            stderr: stderr || ''
+          }));
         } else if (code) {
-          handleExit(new Error('mencoder exited with code ' + code));
+          handleExit(new MencoderError('mencoder exited with code ' + code, {
+            code: code,
+            args: commandArgs,
+            stderr: stderr || ''
+          }));
         } else {
           handleExit();
         }
@@ -201,30 +304,87 @@ module.exports = function(proto) {
       }
 
       // Call process callback
-      processCB(mencoderProc);
+      processCB(mencoderProc, commandLine, commandArgs);
     });
   };
 
 
   /**
-   * Build the argument list for an mencoder command
+   * Build the argument list of the mencoder process for an output
+   *
+   * mencoder writes a single output per process: the argument list holds all inputs and
+   * global options, followed by the output options.
+   *
+   * When 'pass' is specified, the argument list is built for this pass of a multi-pass
+   * encode: the encoder pass option and '-passlogfile' are added, and all passes but the
+   * last one discard audio and output.
    *
    * @method MencoderCommand#_getArguments
+   * @param {Object} output output specification
+   * @param {Object} [pass] pass specification
+   * @param {Number} pass.number encoder pass number (1 = first pass, 2 = last pass, 3 = intermediate pass)
+   * @param {Boolean} pass.last whether this is the last pass
+   * @param {String} pass.logfile pass log file path
    * @return argument list
    * @private
    */
-  proto._getArguments = function() {
+  proto._getArguments = function(output, pass) {
     var complexFilters = this._complexFilters.get();
+    var sizeFilters = this._getSizeFilters(output);
+    var deinterlacing = this._getDeinterlacing(output);
+    var audioFilters = output.audioFilters.get();
+    var videoFilters = deinterlacing.filters.concat(
+      output.videoFilters.get(),
+      deinterlacing.tail,
+      sizeFilters
+    );
+
+    // Apply detected crop area before anything else
+    if (output.flags.autocrop && output.cropFilter) {
+      videoFilters = [output.cropFilter].concat(videoFilters);
+    }
+
+    // harddup must come last in the filter chain
+    videoFilters = videoFilters.filter(function(filter) {
+      return filter !== 'harddup';
+    }).concat(videoFilters.indexOf('harddup') !== -1 ? ['harddup'] : []);
+    var outputArg;
+
+    var discard = pass && !pass.last;
+
+    var copyVideo = (output.video.find('-ovc', 1) || [])[0] === 'copy';
+    var copyAudio = (output.audio.find('-oac', 1) || [])[0] === 'copy';
+
+    if (audioFilters.length && copyAudio) {
+      throw new Error('Audio filters cannot be used when copying the audio stream');
+    }
+
+    if (videoFilters.length && copyVideo) {
+      throw new Error('Video filters cannot be used when copying the video stream');
+    }
+
+    // Copied streams cannot be synced by skipping or duplicating frames
+    var syncArgs = copyVideo || copyAudio ? ['-noskip', '-mc', 0] : [];
+
+    if (!output.target) {
+      outputArg = [];
+    } else if (discard) {
+      outputArg = ['-o', nullDevice];
+    } else if (typeof output.target === 'string') {
+      outputArg = ['-o',output.target];
+    } else {
+      outputArg = ['-o', stdoutDevice];
+    }
 
     return [].concat(
         // Inputs and input options
         this._inputs.reduce(function(args, input) {
-          var source = (typeof input.source === 'string') ? input.source : 'pipe:0';
+          var source = (typeof input.source === 'string') ? input.source : '-';
 
-          // For each input, add input options, then '-i <source>'
+          // For each input, add input options, then the source
           return args.concat(
             input.options.get(),
-            ['mf://' + source]
+            [source]
           );
         }, []),
 
@@ -237,42 +397,176 @@ module.exports = function(proto) {
         // Complex filters
         complexFilters,
 
-        // Outputs, filters and output options
-        this._outputs.reduce(function(args, output) {
-          var sizeFilters = utils.makeFilterStrings(output.sizeFilters.get());
-          var audioFilters = output.audioFilters.get();
-          var videoFilters = output.videoFilters.get().concat(sizeFilters);
-          var outputArg;
-
-          if (!output.target) {
-            outputArg = [];
-          } else if (typeof output.target === 'string') {
-            outputArg = ['-o',output.target];
-          } else {
-            outputArg = ['pipe:1'];
+        // Output, filters and output options
+        discard ? ['-nosound'] : output.audio.get(),
+        audioFilters.length && !discard ? ['-af', audioFilters.join(',')] : [],
+        output.video.get(),
+        deinterlacing.fps && !output.video.find('-ofps') ? ['-ofps', deinterlacing.fps] : [],
+        encoders.getArguments(output, pass),
+        containers.getArguments(output, pass),
+        videoFilters.length ? ['-vf', videoFilters.join(',')] : [],
+        output.subtitles.get(),
+        output.options.get(),
+        syncArgs,
+        pass ? ['-passlogfile', pass.logfile] : [],
+        outputArg
+      );
+  };
+
+
+  /**
+   * Compute pass specifications for the command
+   *
+   * Returns a single null pass for single-pass commands.  Multi-pass encodes
+   * run a first pass, then intermediate passes (which update the pass log file)
+   * and finally the last pass.
+   *
+   * @method MencoderCommand#_getPasses
+   * @return pass specification list
+   * @private
+   */
+  proto._getPasses = function() {
+    var count = this.options.passes || 1;
+
+    if (count < 2) {
+      return [null];
+    }
+
+    var logfile = path.join(
+      os.tmpdir(),
+      'mencoder-' + process.pid + '-' + Date.now() + '-' + Math.floor(Math.random() * 1e6) + '.log'
+    );
+
+    var passes = [];
+    for (var i = 0; i < count; i++) {
+      passes.push({
+        number: i === 0 ? 1 : (i === count - 1 ? 2 : 3),
+        last: i === count - 1,
+        logfile: logfile
+      });
+    }
+
+    return passes;
+  };
+
+
+  /**
+   * Read input metadata and detect crop area when building arguments requires it
+   *
+   * @method MencoderCommand#_readMetadata
+   * @param {Boolean} readMetadata read input metadata even if no option uses it
+   * @param {Function} callback callback with signature (err)
+   * @private
+   */
+  proto._readMetadata = function(readMetadata, callback) {
+    var self = this;
+
+    async.series([
+      // Read metadata if required
+      function(cb) {
+        if (!readMetadata && !self._outputs.some(usesInputMetadata)) {
+          return cb();
+        }
+
+        self._probe(0, function(err, data) {
+          if (!err) {
+            self._ffprobeData = data;
           }
 
-          return args.concat(
-            output.audio.get(),
-            audioFilters.length ? ['-af', audioFilters.join(',')] : [],
-            output.video.get(),
-            videoFilters.length ? ['-vf', videoFilters.join(',')] : [],
-            output.options.get(),
-            outputArg
-          );
-        }, [])
-      );
+          cb();
+        });
+      },
+
+      // Detect crop area for outputs using autoCrop()
+      function(cb) {
+        var autocrop = self._outputs.filter(function(output) {
+          return output.flags.autocrop;
+        });
+
+        if (!autocrop.length) {
+          return cb();
+        }
+
+        self.detectCrop(autocrop[0].flags.autocrop, function(err, crop) {
+          if (err) {
+            return cb(err);
+          }
+
+          autocrop.forEach(function(output) {
+            output.cropFilter = 'crop=' + [crop.width, crop.height, crop.x, crop.y].join(':');
+          });
+
+          cb();
+        });
+      }
+    ], function(err) {
+      callback(err);
+    });
+  };
+
+
+  /**
+   * Check whether input metadata or crop detection is missing to build arguments
+   *
+   * @method MencoderCommand#_isMissingMetadata
+   * @return Boolean
+   * @private
+   */
+  proto._isMissingMetadata = function() {
+    var self = this;
+
+    return this._outputs.some(function(output) {
+      return (usesInputMetadata(output) && !self._ffprobeData) ||
+        (output.flags.autocrop && !output.cropFilter);
+    });
+  };
+
+
+  /**
+   * Build argument lists for all outputs, mencoder writes a single output per process
+   *
+   * @method MencoderCommand#_buildJobs
+   * @return {Array} jobs (see {@link MencoderCommand#_prepare})
+   * @private
+   */
+  proto._buildJobs = function() {
+    var self = this;
+    var hasInputStream = this._inputs.some(function(input) { return input.isStream; });
+    var outputs = this._outputs.filter(function(output) { return 'target' in output; });
+
+    if ((this.options.passes || 1) > 1 && hasInputStream) {
+      throw new Error('Multi-pass encoding is not supported with input streams');
+    }
+
+    if (outputs.length > 1 && hasInputStream) {
+      throw new Error('Multiple outputs are not supported with input streams');
+    }
+
+    return outputs.map(function(output) {
+      return {
+        output: output,
+        passes: self._getPasses().map(function(pass) {
+          var spec = pass || {};
+          spec.args = self._getArguments(output, pass);
+          return spec;
+        })
+      };
+    });
   };
 
 
   /**
    * Prepare execution of an mencoder command
    *
-   * Checks prerequisites for the execution of the command (codec/format availability, flvtool...),
-   * then builds the argument list for mencoder and pass them to 'callback'.
+   * Checks prerequisites for the execution of the command (see {@link MencoderCommand#validate}, flvtool...),
+   * then builds the argument list for each mencoder pass and pass them to 'callback'.
    *
    * @method MencoderCommand#_prepare
-   * @param {Function} callback callback with signature (err, args)
+   * @param {Function} callback callback with signature (err, jobs), where 'jobs' has one
+   *   object for each output, with an 'output' key holding the output specification and a
+   *   'passes' key holding an array of pass specifications (see {@link MencoderCommand#_getArguments}),
+   *   each with an additional 'args' key; single-pass commands have a single pass with only
+   *   this key
    * @param {Boolean} [readMetadata=false] read metadata before processing
    * @private
    */
@@ -280,26 +574,28 @@ module.exports = function(proto) {
     var self = this;
 
     async.waterfall([
-      // Check codecs and formats
-      //function(cb) {
-        //self._checkCapabilities(cb);
-      //},
-
-      // Read metadata if required
+      // Check inputs, outputs, encoders, formats and filters
       function(cb) {
-        if (!readMetadata) {
-          return cb();
-        }
+        self.validate(function(err, problems) {
+          if (err) {
+            return cb(err);
+          }
 
-        self.ffprobe(0, function(err, data) {
-          if (!err) {
-            self._ffprobeData = data;
+          if (problems.length) {
+            err = new Error('Invalid command: ' + problems.join('; '));
+            err.problems = problems;
+            return cb(err);
           }
 
           cb();
         });
       },
 
+      // Read metadata and detect crop area if required
+      function(cb) {
+        self._readMetadata(readMetadata, cb);
+      },
+
       // Check for flvtool2/flvmeta if necessary
       function(cb) {
         var flvmeta = self._outputs.some(function(output) {
@@ -321,16 +617,17 @@ module.exports = function(proto) {
         }
       },
 
-      // Build argument list
+      // Build argument lists
       function(cb) {
-        var args;
+        var jobs;
+
         try {
-          args = self._getArguments();
+          jobs = self._buildJobs();
         } catch(e) {
           return cb(e);
         }
 
-        cb(null, args);
+        cb(null, jobs);
       },
 
       // Add "-strict experimental" option where needed
@@ -370,18 +667,145 @@ module.exports = function(proto) {
   };
 
 
+  /**
+   * Build mencoder command lines
+   *
+   * Passes the full argument list of each mencoder process to 'callback', starting with
+   * the resolved mencoder path or the 'nice' wrapper.  Commands have one argument list for
+   * each pass of each output.
+   *
+   * Input metadata is only read (and crop area detected) when options need it and it is not
+   * available yet.  The command is not validated (see {@link MencoderCommand#validate}).
+   *
+   * @example
+   * command.output('/path/to/output.avi').toArgs(function(err, commands) {
+   *   child_process.spawn(commands[0][0], commands[0].slice(1));
+   * });
+   *
+   * @method MencoderCommand#toArgs
+   * @category Processing
+   *
+   * @param {Function} callback callback with signature (err, commands)
+   */
+  proto.toArgs = function(callback) {
+    var self = this;
+
+    async.waterfall([
+      function(cb) {
+        if (self._isMissingMetadata()) {
+          self._readMetadata(false, cb);
+        } else {
+          cb();
+        }
+      },
+
+      function(cb) {
+        var jobs;
+
+        try {
+          jobs = self._buildJobs();
+        } catch(e) {
+          return cb(e);
+        }
+
+        var passes = jobs.reduce(function(passes, job) {
+          return passes.concat(job.passes);
+        }, []);
+
+        async.mapSeries(passes, function(pass, cb) {
+          self._getCommandLine(pass.args, { niceness: self.options.niceness }, function(err, command, args) {
+            cb(err, err ? null : [command].concat(args));
+          });
+        }, cb);
+      }
+    ], callback);
+  };
+
+
+  /**
+   * Build a shell-safe mencoder command line
+   *
+   * Same as {@link MencoderCommand#toArgs}, but passes a string to 'callback', with
+   * arguments quoted for the platform shell and passes joined with '&&'.
+   *
+   * @example
+   * command.output('/path/to/output.avi').toCommandLine(function(err, commandLine) {
+   *   console.log('Running ' + commandLine);
+   * });
+   *
+   * @method MencoderCommand#toCommandLine
+   * @category Processing
+   *
+   * @param {Function} callback callback with signature (err, commandLine)
+   */
+  proto.toCommandLine = function(callback) {
+    this.toArgs(function(err, commands) {
+      if (err) {
+        return callback(err);
+      }
+
+      callback(null, commands.map(utils.shellQuote).join(' && '));
+    });
+  };
+
+
+  /**
+   * Build a shell-safe mencoder command line synchronously
+   *
+   * Same as {@link MencoderCommand#toCommandLine}, but returns the command line.  The mencoder
+   * path is the one found by a previous run (or set with {@link MencoderCommand#setMencoderPath}),
+   * 'mencoder' otherwise.
+   *
+   * Throws when options need input metadata or crop detection that is not available yet
+   * (percent sizes, 'detect' and 'bob' deinterlacing, autoCrop()); use
+   * {@link MencoderCommand#toCommandLine} for those commands.
+   *
+   * @example
+   * logger.info('Running ' + command.output('/path/to/output.avi'));
+   *
+   * @method MencoderCommand#toString
+   * @category Processing
+   *
+   * @return {String} command line
+   */
+  proto.toString = function() {
+    var self = this;
+
+    if (this._isMissingMetadata()) {
+      throw new Error('Command line depends on input metadata, use toCommandLine() instead');
+    }
+
+    var mencoder = this._getKnownMencoderPath();
+
+    return this._buildJobs().reduce(function(passes, job) {
+      return passes.concat(job.passes);
+    }, []).map(function(pass) {
+      return utils.shellQuote(niceCommandLine(mencoder, pass.args, self.options.niceness));
+    }).join(' && ');
+  };
+
+
   /**
    * Run mencoder command
    *
+   * In dry-run mode, the command is prepared but mencoder is not spawned; a 'start' event
+   * is emitted with each command line (see {@link MencoderCommand#toCommandLine}), followed by
+   * the 'end' event.
+   *
    * @method MencoderCommand#run
    * @category Processing
    * @aliases exec,execute
+   *
+   * @param {Object} [options] run options
+   * @param {Boolean} [options.dryRun=false] only emit command lines, without running mencoder
    */
   proto.exec =
   proto.execute =
-  proto.run = function() {
+  proto.run = function(options) {
     var self = this;
 
+    options = options || {};
+
     // Check if at least one output is present
     var outputPresent = this._outputs.some(function(output) {
       return 'target' in output;
@@ -391,22 +815,23 @@ module.exports = function(proto) {
       throw new Error('No output specified');
     }
 
-    // Get output stream if any
-    var outputStream = this._outputs.filter(function(output) {
-      return typeof output.target !== 'string';
-    })[0];
-
     // Get input stream if any
     var inputStream = this._inputs.filter(function(input) {
       return typeof input.source !== 'string';
     })[0];
 
+    var processTimer;
+
     // Ensure we send 'end' or 'error' only once
     var ended = false;
     function emitEnd(err, stdout, stderr) {
       if (!ended) {
         ended = true;
 
+        if (processTimer) {
+          clearTimeout(processTimer);
+        }
+
         if (err) {
           self.emit('error', err, stdout, stderr);
         } else {
@@ -415,158 +840,292 @@ module.exports = function(proto) {
       }
     }
 
-    self._prepare(function(err, args) {
+    self._prepare(function(err, jobs) {
       if (err) {
         return emitEnd(err);
       }
 
-      // Run mencoder
-      var stdout = null;
-      var stderr = '';
-      self._spawnMencoder(
-        args,
+      var passes = jobs.reduce(function(passes, job) {
+        return passes.concat(job.passes);
+      }, []);
 
-        { niceness: self.options.niceness },
+      if (options.dryRun) {
+        return async.eachSeries(passes, function(pass, cb) {
+          self._getCommandLine(pass.args, { niceness: self.options.niceness }, function(err, command, args) {
+            if (!err) {
+              self.emit('start', utils.shellQuote([command].concat(args)));
+            }
 
-        function processCB(mencoderProc) {
-          self.mencoderProc = mencoderProc;
-          self.emit('start', 'mencoder ' + args.join(' '));
+            cb(err);
+          });
+        }, function(err) {
+          emitEnd(err, null, '');
+        });
+      }
 
-          // Pipe input stream if any
-          if (inputStream) {
-            inputStream.source.on('error', function(err) {
-              emitEnd(new Error('Input stream error: ' + err.message));
-              mencoderProc.kill();
-            });
+      var currentArgs = [];
 
-            inputStream.source.resume();
-            inputStream.source.pipe(mencoderProc.stdin);
+      jobs.forEach(function(job) {
+        job.stdout = null;
+        job.stderr = '';
+        job.percent = 0;
+      });
+
+      // Concatenate stdout or stderr of all outputs
+      function combined(key) {
+        var values = jobs.map(function(job) {
+          return job[key];
+        }).filter(function(value) {
+          return value !== null;
+        });
+
+        return values.length ? values.join('') : null;
+      }
+
+      // Setup timeout if requested
+      if (self.options.timeout) {
+        processTimer = setTimeout(function() {
+          var msg = 'process ran into a timeout (' + self.options.timeout + 's)';
+
+          emitEnd(new MencoderError(msg, {
+            reason: 'timeout',
+            args: currentArgs,
+            stderr: combined('stderr')
+          }), combined('stdout'), combined('stderr'));
+
+          self._mencoderProcs.forEach(function(proc) {
+            proc.kill();
+          });
+        }, self.options.timeout * 1000);
+      }
 
-            // Set stdin error handler on mencoder (prevents nodejs catching the error, but
-            // mencoder will fail anyway, so no need to actually handle anything)
-            mencoderProc.stdin.on('error', function() {});
+      self._codecDataSent = false;
+
+      // Run mencoder passes for an output in sequence
+      function runOutput(job, done) {
+        var output = job.output;
+        var passes = job.passes;
+        var outputStream = typeof output.target !== 'string' ? output : null;
+
+        // Report overall progress for multi-output commands
+        var progressEmitter = jobs.length < 2 ? self : {
+          emit: function(event, progress) {
+            job.percent = progress.percent;
+
+            progress.output = jobs.indexOf(job);
+            progress.outputs = jobs.length;
+            progress.outputPercent = progress.percent;
+            progress.percent = jobs.reduce(function(total, job) {
+              return total + job.percent;
+            }, 0) / jobs.length;
+
+            self.emit(event, progress);
           }
+        };
 
-          // Setup timeout if requested
-          var processTimer;
-          if (self.options.timeout) {
-            processTimer = setTimeout(function() {
-              var msg = 'process ran into a timeout (' + self.options.timeout + 's)';
+        async.timesSeries(passes.length, function(index, next) {
+          var pass = passes[index];
+          var proc;
 
-              emitEnd(new Error(msg), stdout, stderr);
-              mencoderProc.kill();
-            }, self.options.timeout * 1000);
+          if (ended) {
+            // Timed out or failed between two passes
+            return next(new Error('mencoder processing was aborted'));
           }
 
-          if (outputStream) {
-            // Pipe mencoder stdout to output stream
-            mencoderProc.stdout.pipe(outputStream.target, outputStream.pipeopts);
-
-            // Handle output stream events
-            outputStream.target.on('close', function() {
-              self.logger.debug('Output stream closed, scheduling kill for ffmpgeg process');
-
-              // Don't kill process yet, to give a chance to mencoder to
-              // terminate successfully first  This is necessary because
-              // under load, the process 'exit' event sometimes happens
-              // after the output stream 'close' event.
-              setTimeout(function() {
-                emitEnd(new Error('Output stream closed'));
-                mencoderProc.kill();
-              }, 20);
-            });
+          // Status lines may be split across chunks, keep incomplete lines around
+          var stdoutProgress = '';
+          var stderrProgress = '';
+          var stderrLine = '';
 
-            outputStream.target.on('error', function(err) {
-              self.logger.debug('Output stream error, killing mencoder process');
-              emitEnd(new Error('Output stream error: ' + err.message));
-              mencoderProc.kill();
-            });
-          } else {
-            // Gather mencoder stdout
-            stdout = '';
-            mencoderProc.stdout.on('data', function (data) {
-              stdout += data;
-              console.log("=====" + data);
-              if (self.listeners('progress').length) {
-                var duration = 0;
-
-                if (self._ffprobeData && self._ffprobeData.format && self._ffprobeData.format.duration) {
-                  duration = Number(self._ffprobeData.format.duration);
-                }
+          function handleProgress(data) {
+            if (!self.listeners('progress').length) {
+              return '';
+            }
 
-                utils.extractProgress(self, stdout, duration);
-              }
+            var duration = 0;
 
-            });
+            if (self._ffprobeData && self._ffprobeData.format && self._ffprobeData.format.duration) {
+              duration = Number(self._ffprobeData.format.duration);
+            }
+
+            return utils.extractProgress(progressEmitter, data, duration, passes.length > 1 ? index : undefined, passes.length);
           }
 
-          // Process mencoder stderr data
-          self._codecDataSent = false;
-          mencoderProc.stderr.on('data', function (data) {
-            stderr += data;
-            console.log("****** " + data);
+          self._spawnMencoder(
+            pass.args,
+
+            { niceness: self.options.niceness },
+
+            function processCB(mencoderProc, commandLine, args) {
+              currentArgs = args;
+              proc = mencoderProc;
+              self.mencoderProc = mencoderProc;
+              self._mencoderProcs.push(mencoderProc);
+              self.emit('start', commandLine);
+
+              // Pipe input stream if any
+              if (inputStream) {
+                inputStream.source.on('error', function(err) {
+                  emitEnd(new MencoderError('Input stream error: ' + err.message, {
+                    reason: 'stream-error',
+                    args: args,
+                    stderr: job.stderr
+                  }));
+                  mencoderProc.kill();
+                });
+
+                inputStream.source.resume();
+                inputStream.source.pipe(mencoderProc.stdin);
+
+                // Set stdin error handler on mencoder (prevents nodejs catching the error, but
+                // mencoder will fail anyway, so no need to actually handle anything)
+                mencoderProc.stdin.on('error', function() {});
+              }
 
-            if (!self._codecDataSent && self.listeners('codecData').length) {
-              utils.extractCodecData(self, stderr);
-            }
+              if (outputStream && (!pass.number || pass.last)) {
+                // Pipe mencoder stdout to output stream
+                mencoderProc.stdout.pipe(outputStream.target, outputStream.pipeopts);
+
+                // Handle output stream events
+                outputStream.target.on('close', function() {
+                  self.logger.debug('Output stream closed, scheduling kill for mencoder process');
+
+                  // Don't kill process yet, to give a chance to mencoder to
+                  // terminate successfully first  This is necessary because
+                  // under load, the process 'exit' event sometimes happens
+                  // after the output stream 'close' event.
+                  setTimeout(function() {
+                    emitEnd(new MencoderError('Output stream closed', {
+                      reason: 'output-stream-closed',
+                      args: args,
+                      stderr: job.stderr
+                    }));
+                    mencoderProc.kill();
+                  }, 20);
+                });
+
+                outputStream.target.on('error', function(err) {
+                  self.logger.debug('Output stream error, killing mencoder process');
+                  emitEnd(new MencoderError('Output stream error: ' + err.message, {
+                    reason: 'stream-error',
+                    args: args,
+                    stderr: job.stderr
+                  }));
+                  mencoderProc.kill();
+                });
+              } else {
+                // Gather mencoder stdout
+                job.stdout = job.stdout || '';
+                mencoderProc.stdout.on('data', function (data) {
+                  job.stdout += data;
+                  stdoutProgress = handleProgress(stdoutProgress + data);
+                });
+              }
 
-          });
-        },
+              // Process mencoder stderr data
+              mencoderProc.stderr.on('data', function (data) {
+                job.stderr += data;
 
-        function endCB(err) {
-          delete self.mencoderProc;
+                // Forward complete stderr lines to the logger
+                var lines = (stderrLine + data).split(nlRegexp);
+                stderrLine = lines.pop();
+                lines.forEach(function(line) {
+                  if (line.length) {
+                    self.logger.debug('mencoder stderr: ' + line);
+                  }
+                });
 
-          if (err) {
-            if (err.message.match(/mencoder exited with code/)) {
-              // Add mencoder error message
-              err.message += ': ' + utils.extractError(stderr);
-            }
+                if (!self._codecDataSent && self.listeners('codecData').length) {
+                  utils.extractCodecData(self, job.stderr);
+                }
 
-            emitEnd(err, stdout, stderr);
-          } else {
-            // Find out which outputs need flv metadata
-            var flvmeta = self._outputs.filter(function(output) {
-              return output.flags.flvmeta;
+                stderrProgress = handleProgress(stderrProgress + data);
+              });
+            },
+
+            function endCB(err) {
+              if (stderrLine.length) {
+                self.logger.debug('mencoder stderr: ' + stderrLine);
+              }
+
+              if (proc) {
+                self._mencoderProcs.splice(self._mencoderProcs.indexOf(proc), 1);
+
+                if (self._mencoderProcs.length) {
+                  self.mencoderProc = self._mencoderProcs[self._mencoderProcs.length - 1];
+                } else {
+                  delete self.mencoderProc;
+                }
+              }
+
+              next(err);
+            }
+          );
+        }, function(err) {
+          // Remove pass log files
+          if (passes[0].logfile) {
+            [passes[0].logfile, passes[0].logfile + '.mbtree'].forEach(function(file) {
+              fs.unlink(file, function() {});
             });
+          }
 
-            if (flvmeta.length) {
-              self._getFlvtoolPath(function(err, flvtool) {
-                // No possible error here, getFlvtoolPath was already called by _prepare
-                async.each(
-                  flvmeta,
-                  function(output, cb) {
-                    spawn(flvtool, ['-U', output.target])
-                      .on('error', function(err) {
-                        cb(new Error('Error running ' + flvtool + ' on ' + output.target + ': ' + err.message));
-                      })
-                      .on('exit', function(code, signal) {
-                        if (code !== 0 || signal) {
-                          cb(
-                            new Error(flvtool + ' ' +
-                              (signal ? 'received signal ' + signal
-                                      : 'exited with code ' + code)) +
-                              ' when running on ' + output.target
-                          );
-                        } else {
-                          cb();
-                        }
-                      });
-                  },
-                  function(err) {
-                    if (err) {
-                      emitEnd(err);
-                    } else {
-                      emitEnd(null, stdout, stderr);
-                    }
+          if (!err && output.flags.flvmeta) {
+            return self._getFlvtoolPath(function(err, flvtool) {
+              // No possible error here, getFlvtoolPath was already called by _prepare
+              spawn(flvtool, ['-U', output.target])
+                .on('error', function(err) {
+                  finish(new Error('Error running ' + flvtool + ' on ' + output.target + ': ' + err.message));
+                })
+                .on('exit', function(code, signal) {
+                  if (code !== 0 || signal) {
+                    finish(new Error(
+                      flvtool + ' ' +
+                      (signal ? 'received signal ' + signal : 'exited with code ' + code) +
+                      ' when running on ' + output.target
+                    ));
+                  } else {
+                    finish();
                   }
-                );
-              });
+                });
+            });
+          }
+
+          finish(err);
+        });
+
+        function finish(err) {
+          if (err && err instanceof MencoderError) {
+            // Add mencoder error message and classify it using the whole stderr
+            err = new MencoderError(
+              err.message + (err.code ? ': ' + utils.extractError(job.stderr) : ''),
+              { code: err.code, signal: err.signal, args: err.args, stderr: job.stderr }
+            );
+          }
+
+          if (!ended) {
+            if (err) {
+              self.emit('outputError', err, output.target);
             } else {
-              emitEnd(null, stdout, stderr);
+              job.percent = 100;
+              self.emit('outputEnd', output.target, job.stdout, job.stderr);
             }
           }
+
+          done(err);
         }
-      );
+      }
+
+      // Run outputs one after the other, or all at once in parallel mode
+      (self.options.parallel ? async.each : async.eachSeries)(jobs, runOutput, function(err) {
+        if (err) {
+          // Stop other outputs when running in parallel
+          self._mencoderProcs.forEach(function(proc) {
+            proc.kill();
+          });
+        }
+
+        emitEnd(err, combined('stdout'), combined('stderr'));
+      });
     });
   };
 
@@ -593,9 +1152,10 @@ module.exports = function(proto) {
       niceness = Math.min(20, Math.max(-20, niceness));
       this.options.niceness = niceness;
 
-      if (this.mencoderProc) {
-        var logger = this.logger;
-        var pid = this.mencoderProc.pid;
+      var logger = this.logger;
+
+      this._mencoderProcs.forEach(function(mencoderProc) {
+        var pid = mencoderProc.pid;
         var renice = spawn('renice', [niceness, '-p', pid]);
 
         renice.on('error', function(err) {
@@ -611,7 +1171,7 @@ module.exports = function(proto) {
             logger.info('successfully reniced process ' + pid + ' to ' + niceness + ' niceness');
           }
         });
-      }
+      });
     }
 
     return this;
@@ -619,7 +1179,7 @@ module.exports = function(proto) {
 
 
   /**
-   * Kill current mencoder process, if any
+   * Kill current mencoder processes, if any
    *
    * @method MencoderCommand#kill
    * @category Processing
@@ -628,10 +1188,12 @@ module.exports = function(proto) {
    * @return MencoderCommand
    */
   proto.kill = function(signal) {
-    if (!this.mencoderProc) {
+    if (!this._mencoderProcs.length) {
       this.logger.warn('No running mencoder process, cannot send signal');
     } else {
-      this.mencoderProc.kill(signal || 'SIGKILL');
+      this._mencoderProcs.forEach(function(mencoderProc) {
+        mencoderProc.kill(signal || 'SIGKILL');
+      });
     }
 
     return this;
@@ -0,0 +1,318 @@
+/*jshint node:true*/
+'use strict';
+
+
+/**
+ * Run a command and wait for it to end
+ *
+ * 'start' is called with the command to start processing; 'end' and 'error'
+ * events are still emitted to other listeners.
+ *
+ * @param {MencoderCommand} command
+ * @param {Function} start function starting processing
+ * @return Promise
+ * @private
+ */
+function waitForEnd(command, start) {
+  return new Promise(function(resolve, reject) {
+    var filenames = null;
+
+    function onFilenames(names) {
+      filenames = names;
+    }
+
+    function onEnd(stdout, stderr) {
+      cleanup();
+
+      resolve({
+        filenames: filenames || command._outputs
+          .filter(function(output) { return output.isFile; })
+          .map(function(output) { return output.target; }),
+        code: 0,
+        signal: null,
+        stdout: stdout,
+        stderr: stderr
+      });
+    }
+
+    function onError(err, stdout, stderr) {
+      cleanup();
+
+      if (!('stderr' in err)) {
+        err.stdout = stdout;
+        err.stderr = stderr;
+      }
+
+      reject(err);
+    }
+
+    function cleanup() {
+      command.removeListener('filenames', onFilenames);
+      command.removeListener('end', onEnd);
+      command.removeListener('error', onError);
+    }
+
+    command.on('filenames', onFilenames);
+    command.on('end', onEnd);
+    command.on('error', onError);
+
+    try {
+      start(command);
+    } catch(err) {
+      cleanup();
+      reject(err);
+    }
+  });
+}
+
+
+/**
+ * Create a promise-returning variant of a callback-based method
+ *
+ * @param {String} method method name
+ * @return Function
+ * @private
+ */
+function promisify(method) {
+  return function() {
+    var self = this;
+    var args = [].slice.call(arguments);
+
+    return new Promise(function(resolve, reject) {
+      self[method].apply(self, args.concat([function(err, result) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result);
+        }
+      }]));
+    });
+  };
+}
+
+
+/*
+ *! Promise-returning variants of processing and metadata methods
+ */
+
+module.exports = function(proto) {
+  /**
+   * Result of a command run through a promise-returning method
+   *
+   * Promises are rejected with the error passed to the 'error' event, which is a
+   * {@link MencoderError} when mencoder failed.  Other errors get additional 'stdout'
+   * and 'stderr' properties.
+   *
+   * @typedef {Object} MencoderCommand~runResult
+   * @property {String[]} filenames generated file names (file outputs, or screenshot file names)
+   * @property {Number} code mencoder exit code
+   * @property {String|null} signal signal that ended mencoder
+   * @property {String|null} stdout mencoder stdout, when not piped to an output stream
+   * @property {String} stderr mencoder stderr
+   */
+
+  /**
+   * Run mencoder command and return a promise
+   *
+   * 'start', 'progress', 'end' and 'error' events are emitted as with {@link MencoderCommand#run}.
+   *
+   * @example
+   * command.output('/path/to/output.avi').runAsync().then(function(result) {
+   *   console.log('Generated ' + result.filenames.join(', '));
+   * });
+   *
+   * @method MencoderCommand#runAsync
+   * @category Processing
+   * @aliases execAsync,executeAsync
+   *
+   * @param {Object} [options] run options (see {@link MencoderCommand#run})
+   * @return {Promise} promise resolved with a {@link MencoderCommand~runResult} object
+   */
+  proto.execAsync =
+  proto.executeAsync =
+  proto.runAsync = function(options) {
+    return waitForEnd(this, function(command) {
+      command.run(options);
+    });
+  };
+
+
+  /**
+   * Save output to a file and return a promise
+   *
+   * @example
+   * await command.saveAsync('/path/to/output.avi');
+   *
+   * @method MencoderCommand#saveAsync
+   * @category Processing
+   * @aliases saveToFileAsync
+   *
+   * @param {String} output file path
+   * @param {Object} [options] run options (see {@link MencoderCommand#run})
+   * @return {Promise} promise resolved with a {@link MencoderCommand~runResult} object
+   */
+  proto.saveToFileAsync =
+  proto.saveAsync = function(output, options) {
+    return waitForEnd(this, function(command) {
+      command.save(output, options);
+    });
+  };
+
+
+  /**
+   * Change the container of the input and return a promise
+   *
+   * @method MencoderCommand#remuxAsync
+   * @category Processing
+   *
+   * @param {String} target output file path
+   * @param {String} [format] output format (see {@link MencoderCommand#format})
+   * @param {Object} [options] copy options (see {@link MencoderCommand#copyStreams})
+   * @return {Promise} promise resolved with a {@link MencoderCommand~runResult} object
+   */
+  proto.remuxAsync = function(target, format, options) {
+    return waitForEnd(this, function(command) {
+      command.remux(target, format, options);
+    });
+  };
+
+
+  /**
+   * Generate screenshots and return a promise
+   *
+   * @method MencoderCommand#screenshotsAsync
+   * @category Processing
+   * @aliases thumbnailsAsync
+   *
+   * @param {Number|Object} [config=1] screenshot count or configuration object (see {@link MencoderCommand#screenshots})
+   * @param {String} [folder] output folder
+   * @return {Promise} promise resolved with a {@link MencoderCommand~runResult} object,
+   *   'filenames' holding screenshot file names
+   */
+  proto.thumbnailsAsync =
+  proto.screenshotsAsync = function(config, folder) {
+    return waitForEnd(this, function(command) {
+      command.screenshots(config, folder);
+    });
+  };
+
+
+  /**
+   * Merge inputs to a single file and return a promise
+   *
+   * @method MencoderCommand#concatAsync
+   * @category Processing
+   * @aliases mergeToFileAsync
+   *
+   * @param {String|Writable} target output file or writable stream
+   * @param {Object} [options] pipe options (only used when outputting to a writable stream)
+   * @return {Promise} promise resolved with a {@link MencoderCommand~runResult} object
+   */
+  proto.mergeToFileAsync =
+  proto.concatAsync = function(target, options) {
+    return waitForEnd(this, function(command) {
+      command.concat(target, options);
+    });
+  };
+
+
+  /**
+   * Promise-returning variant of {@link MencoderCommand#ffprobe}
+   *
+   * @method MencoderCommand#ffprobeAsync
+   * @category Metadata
+   *
+   * @param {Number} [index] 0-based index of input to probe (defaults to last input)
+   * @return {Promise} promise resolved with ffprobe data
+   */
+  proto.ffprobeAsync = promisify('ffprobe');
+
+
+  /**
+   * Promise-returning variant of {@link MencoderCommand#identify}
+   *
+   * @method MencoderCommand#identifyAsync
+   * @category Metadata
+   *
+   * @param {Number} [index] 0-based index of input to identify (defaults to last input)
+   * @return {Promise} promise resolved with identify data
+   */
+  proto.identifyAsync = promisify('identify');
+
+
+  /**
+   * Promise-returning variant of {@link MencoderCommand#dvdTitles}
+   *
+   * @method MencoderCommand#dvdTitlesAsync
+   * @category Metadata
+   *
+   * @return {Promise} promise resolved with the DVD title list
+   */
+  proto.dvdTitlesAsync = promisify('dvdTitles');
+
+
+  /**
+   * Promise-returning variant of {@link MencoderCommand#detectCrop}
+   *
+   * @method MencoderCommand#detectCropAsync
+   * @category Processing
+   *
+   * @param {Object} [options] detection options
+   * @return {Promise} promise resolved with the detected crop area
+   */
+  proto.detectCropAsync = promisify('detectCrop');
+
+
+  /**
+   * Promise-returning variant of {@link MencoderCommand#toArgs}
+   *
+   * @method MencoderCommand#toArgsAsync
+   * @category Processing
+   *
+   * @return {Promise} promise resolved with the argument list of each mencoder process
+   */
+  proto.toArgsAsync = promisify('toArgs');
+
+
+  /**
+   * Promise-returning variant of {@link MencoderCommand#toCommandLine}
+   *
+   * @method MencoderCommand#toCommandLineAsync
+   * @category Processing
+   *
+   * @return {Promise} promise resolved with the shell-safe command line
+   */
+  proto.toCommandLineAsync = promisify('toCommandLine');
+
+
+  /**
+   * Promise-returning variant of {@link MencoderCommand#validate}
+   *
+   * @method MencoderCommand#validateAsync
+   * @category Processing
+   *
+   * @return {Promise} promise resolved with the list of problems
+   */
+  proto.validateAsync = promisify('validate');
+
+
+  /**
+   * Promise-returning variants of capability queries
+   *
+   * @method MencoderCommand#availableVideoEncodersAsync
+   * @category Capabilities
+   * @aliases availableAudioEncodersAsync,availableMuxersAsync,availableVideoFiltersAsync,availableAudioFiltersAsync,availableLavcCodecsAsync,availableCodecsAsync,availableFormatsAsync,availableFiltersAsync,availableEncodersAsync
+   *
+   * @return {Promise} promise resolved with capability data
+   */
+  proto.availableVideoEncodersAsync = promisify('availableVideoEncoders');
+  proto.availableAudioEncodersAsync = promisify('availableAudioEncoders');
+  proto.availableMuxersAsync = promisify('availableMuxers');
+  proto.availableVideoFiltersAsync = promisify('availableVideoFilters');
+  proto.availableAudioFiltersAsync = promisify('availableAudioFilters');
+  proto.availableLavcCodecsAsync = promisify('availableLavcCodecs');
+  proto.availableCodecsAsync = promisify('availableCodecs');
+  proto.availableFormatsAsync = promisify('availableFormats');
+  proto.availableFiltersAsync = promisify('availableFilters');
+  proto.availableEncodersAsync = promisify('availableEncoders');
+};
@@ -0,0 +1,436 @@
+/*jshint node:true*/
+'use strict';
+
+var os = require('os');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+
+
+/**
+ * Create a job queue running mencoder commands with a concurrency limit
+ *
+ * Can be called with or without 'new' operator
+ *
+ * Jobs are started by decreasing priority, then in the order they were added.
+ *
+ * @example
+ * var queue = new MencoderCommand.Queue({ concurrency: 2 });
+ *
+ * queue.on('progress', function(progress) {
+ *   console.log(progress.percent + '% (' + progress.done + '/' + progress.total + ' jobs done)');
+ * });
+ *
+ * queue.add(new MencoderCommand('/path/to/input.avi').output('/path/to/output.avi'), { priority: 10 });
+ *
+ * @constructor
+ * @param {Object} [options] queue options
+ * @param {Number} [options.concurrency=<cpu count>] maximum number of concurrent mencoder processes;
+ *   commands created with the 'parallel' option count for one process per output, and run alone
+ *   when they have more outputs than this limit
+ * @param {Boolean} [options.paused=false] create the queue paused
+ */
+function MencoderQueue(options) {
+  // Make 'new' optional
+  if (!(this instanceof MencoderQueue)) {
+    return new MencoderQueue(options);
+  }
+
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  this.concurrency = options.concurrency || os.cpus().length;
+  this.paused = !!options.paused;
+  this.jobs = [];
+
+  this._nextId = 1;
+
+  // Jobs whose command has not ended yet, including cancelled jobs being killed
+  this._active = [];
+  this._drained = true;
+}
+
+util.inherits(MencoderQueue, EventEmitter);
+
+
+/**
+ * Count the mencoder processes a command runs at the same time
+ *
+ * @param {MencoderCommand} command command
+ * @return Number
+ * @private
+ */
+function processCount(command) {
+  if (!command.options || !command.options.parallel || !command._outputs) {
+    return 1;
+  }
+
+  return Math.max(1, command._outputs.filter(function(output) {
+    return 'target' in output;
+  }).length);
+}
+
+
+/**
+ * Emitted when a job starts
+ *
+ * @event MencoderQueue#jobStart
+ * @param {MencoderQueue~job} job job object
+ * @param {String} commandLine mencoder command line
+ */
+
+/**
+ * Emitted when a running job reports progress
+ *
+ * @event MencoderQueue#jobProgress
+ * @param {MencoderQueue~job} job job object
+ * @param {Object} progress progress information (see {@link MencoderCommand#event:progress})
+ */
+
+/**
+ * Emitted when a job finishes successfully
+ *
+ * @event MencoderQueue#jobEnd
+ * @param {MencoderQueue~job} job job object
+ * @param {String|null} stdout mencoder stdout
+ * @param {String} stderr mencoder stderr
+ */
+
+/**
+ * Emitted when a job fails
+ *
+ * @event MencoderQueue#jobError
+ * @param {MencoderQueue~job} job job object
+ * @param {Error} err error
+ */
+
+/**
+ * Emitted when a job is cancelled
+ *
+ * @event MencoderQueue#jobCancel
+ * @param {MencoderQueue~job} job job object
+ */
+
+/**
+ * Emitted when the job list changes or a job reports progress
+ *
+ * @event MencoderQueue#progress
+ * @param {Object} progress aggregate progress
+ * @param {Number} progress.percent average completion of all jobs, cancelled jobs excluded
+ * @param {Number} progress.total job count
+ * @param {Number} progress.queued queued job count
+ * @param {Number} progress.running running job count
+ * @param {Number} progress.done successful job count
+ * @param {Number} progress.failed failed job count
+ * @param {Number} progress.cancelled cancelled job count
+ */
+
+/**
+ * Emitted once when no job is queued or running anymore, after all mencoder processes
+ * (including those of cancelled jobs) have exited
+ *
+ * @event MencoderQueue#drain
+ */
+
+
+/**
+ * A job added to a queue
+ *
+ * @typedef {Object} MencoderQueue~job
+ * @property {Number} id job identifier
+ * @property {MencoderCommand} command job command
+ * @property {Number} priority job priority
+ * @property {String} state one of 'queued', 'running', 'done', 'failed' and 'cancelled'
+ * @property {Number} percent job completion percent
+ * @property {Error} [error] error, for failed jobs
+ */
+
+
+/**
+ * Add a command to the queue
+ *
+ * The command must have its outputs set; it is started with {@link MencoderCommand#run}.
+ *
+ * @method MencoderQueue#add
+ *
+ * @param {MencoderCommand} command command to run
+ * @param {Object} [options] job options
+ * @param {Number} [options.priority=0] job priority, higher priority jobs run first
+ * @return {MencoderQueue~job} job object
+ */
+MencoderQueue.prototype.add = function(command, options) {
+  if (!command || typeof command.run !== 'function') {
+    throw new Error('Invalid command');
+  }
+
+  options = options || {};
+
+  var job = {
+    id: this._nextId++,
+    command: command,
+    priority: Number(options.priority) || 0,
+    state: 'queued',
+    percent: 0
+  };
+
+  this.jobs.push(job);
+  this._drained = false;
+  this._emitProgress();
+  this._next();
+
+  return job;
+};
+
+
+/**
+ * Pause the queue
+ *
+ * Running jobs continue, but no new job is started until {@link MencoderQueue#resume} is called.
+ *
+ * @method MencoderQueue#pause
+ * @return MencoderQueue
+ */
+MencoderQueue.prototype.pause = function() {
+  this.paused = true;
+  return this;
+};
+
+
+/**
+ * Resume a paused queue
+ *
+ * @method MencoderQueue#resume
+ * @return MencoderQueue
+ */
+MencoderQueue.prototype.resume = function() {
+  this.paused = false;
+  this._next();
+  return this;
+};
+
+
+/**
+ * Cancel a job
+ *
+ * Queued jobs are removed from the queue, running jobs are killed.
+ *
+ * @method MencoderQueue#cancel
+ *
+ * @param {MencoderQueue~job|Number} job job object or identifier
+ * @param {String} [signal=SIGKILL] signal sent to running jobs
+ * @return {Boolean} whether the job was cancelled (false if it was not found or already finished)
+ */
+MencoderQueue.prototype.cancel = function(job, signal) {
+  var id = typeof job === 'object' ? job.id : job;
+
+  job = this.jobs.filter(function(job) {
+    return job.id === id;
+  })[0];
+
+  if (!job || (job.state !== 'queued' && job.state !== 'running')) {
+    return false;
+  }
+
+  var wasRunning = job.state === 'running';
+  job.state = 'cancelled';
+
+  if (wasRunning && job.command.mencoderProc) {
+    job.command.kill(signal);
+  }
+
+  this.emit('jobCancel', job);
+  this._emitProgress();
+
+  if (!wasRunning) {
+    this._next();
+  }
+
+  return true;
+};
+
+
+/**
+ * Cancel all queued and running jobs
+ *
+ * @method MencoderQueue#cancelAll
+ *
+ * @param {String} [signal=SIGKILL] signal sent to running jobs
+ * @return MencoderQueue
+ */
+MencoderQueue.prototype.cancelAll = function(signal) {
+  var self = this;
+
+  this.jobs.forEach(function(job) {
+    self.cancel(job, signal);
+  });
+
+  return this;
+};
+
+
+/**
+ * Compute aggregate progress
+ *
+ * @method MencoderQueue#progress
+ * @return {Object} aggregate progress (see {@link MencoderQueue#event:progress})
+ */
+MencoderQueue.prototype.progress = function() {
+  var progress = { percent: 0, total: this.jobs.length, queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+  var counted = 0;
+  var total = 0;
+
+  this.jobs.forEach(function(job) {
+    progress[job.state]++;
+
+    if (job.state !== 'cancelled') {
+      counted++;
+      total += job.state === 'done' || job.state === 'failed' ? 100 : job.percent;
+    }
+  });
+
+  progress.percent = counted ? total / counted : 100;
+
+  return progress;
+};
+
+
+/**
+ * Emit aggregate progress
+ *
+ * @method MencoderQueue#_emitProgress
+ * @private
+ */
+MencoderQueue.prototype._emitProgress = function() {
+  this.emit('progress', this.progress());
+};
+
+
+/**
+ * Start queued jobs while below concurrency limit, emit 'drain' when there are no jobs left
+ *
+ * Concurrency is counted in mencoder processes; cancelled jobs count as running until
+ * their command ends.
+ *
+ * @method MencoderQueue#_next
+ * @private
+ */
+MencoderQueue.prototype._next = function() {
+  var running = this._active.reduce(function(count, job) {
+    return count + processCount(job.command);
+  }, 0);
+
+  var queued = this.jobs.filter(function(job) {
+    return job.state === 'queued';
+  });
+
+  if (!running && !queued.length) {
+    if (!this._drained) {
+      this._drained = true;
+      this.emit('drain');
+    }
+
+    return;
+  }
+
+  if (this.paused) {
+    return;
+  }
+
+  if (!queued.length) {
+    return;
+  }
+
+  // Start the job with the highest priority, keeping insertion order for equal priorities
+  queued.sort(function(a, b) {
+    return (b.priority - a.priority) || (a.id - b.id);
+  });
+
+  // Wait for enough processes to end, jobs above the limit run alone
+  if (running && running + processCount(queued[0].command) > this.concurrency) {
+    return;
+  }
+
+  this._start(queued[0]);
+  this._next();
+};
+
+
+/**
+ * Start a job
+ *
+ * @method MencoderQueue#_start
+ * @param {MencoderQueue~job} job job to start
+ * @private
+ */
+MencoderQueue.prototype._start = function(job) {
+  var self = this;
+  var command = job.command;
+
+  function onStart(commandLine) {
+    if (job.state === 'cancelled') {
+      // Cancelled before mencoder was spawned
+      return command.kill();
+    }
+
+    self.emit('jobStart', job, commandLine);
+  }
+
+  function onProgress(progress) {
+    job.percent = progress.percent || 0;
+    self.emit('jobProgress', job, progress);
+    self._emitProgress();
+  }
+
+  function onEnd(stdout, stderr) {
+    finish(null, stdout, stderr);
+  }
+
+  function onError(err) {
+    finish(err);
+  }
+
+  function finish(err, stdout, stderr) {
+    command.removeListener('start', onStart);
+    command.removeListener('progress', onProgress);
+    command.removeListener('end', onEnd);
+    command.removeListener('error', onError);
+
+    self._active.splice(self._active.indexOf(job), 1);
+
+    // Errors caused by killing cancelled jobs are not reported
+    if (job.state === 'running') {
+      if (err) {
+        job.state = 'failed';
+        job.error = err;
+        self.emit('jobError', job, err);
+      } else {
+        job.state = 'done';
+        job.percent = 100;
+        self.emit('jobEnd', job, stdout, stderr);
+      }
+
+      self._emitProgress();
+    }
+
+    self._next();
+  }
+
+  job.state = 'running';
+  this._active.push(job);
+
+  command.on('start', onStart);
+  command.on('progress', onProgress);
+  command.on('end', onEnd);
+  command.on('error', onError);
+
+  this._emitProgress();
+
+  try {
+    command.run();
+  } catch(err) {
+    finish(err);
+  }
+};
+
+
+module.exports = MencoderQueue;
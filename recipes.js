@@ -21,11 +21,46 @@ module.exports = function recipes(proto) {
    * @aliases saveToFile
    *
    * @param {String} output file path
+   * @param {Object} [options] run options (see {@link MencoderCommand#run})
    * @return MencoderCommand
    */
   proto.saveToFile =
-  proto.save = function(output) {
-    this.output(output).run();
+  proto.save = function(output, options) {
+    this.output(output).run(options);
+    return this;
+  };
+
+
+  /**
+   * Change the container of the input without re-encoding it
+   *
+   * Adds an output copying video and audio streams (see {@link MencoderCommand#copyStreams})
+   * and runs the command.
+   *
+   * @example
+   * new MencoderCommand('/path/to/capture.avi').remux('/path/to/capture.mkv', 'mkv');
+   *
+   * @method MencoderCommand#remux
+   * @category Processing
+   *
+   * @param {String} target output file path
+   * @param {String} [format] output format (see {@link MencoderCommand#format})
+   * @param {Object} [options] copy options (see {@link MencoderCommand#copyStreams})
+   * @return MencoderCommand
+   */
+  proto.remux = function(target, format, options) {
+    if (typeof format === 'object') {
+      options = format;
+      format = undefined;
+    }
+
+    this.output(target).copyStreams(options);
+
+    if (format) {
+      this.format(format);
+    }
+
+    this.run();
     return this;
   };
 
@@ -37,6 +72,9 @@ module.exports = function recipes(proto) {
    * 'options' will be used when piping mencoder output to the output stream
    * (@see http://nodejs.org/api/stream.html#stream_readable_pipe_destination_options)
    *
+   * The output format must not need a seekable output: use eg. 'mpeg', 'mkv', 'flv' or 'webm'
+   * rather than 'avi' (the default) or 'mp4'.
+   *
    * @method MencoderCommand#pipe
    * @category Processing
    * @aliases stream,writeToStream
@@ -157,7 +195,7 @@ module.exports = function recipes(proto) {
       if (metadata) {
         cb(null, metadata);
       } else {
-        self.ffprobe(function(err, meta) {
+        self._probe(function(err, meta) {
           metadata = meta;
           cb(err, meta);
         });
@@ -317,6 +355,7 @@ module.exports = function recipes(proto) {
             });
         });
 
+        self.logger.debug('Generating screenshots ' + filenames.join(', '));
         self.emit('filenames', filenames);
         next(null, filenames);
       },
@@ -422,7 +461,7 @@ module.exports = function recipes(proto) {
     })[0];
 
     var self = this;
-    this.ffprobe(this._inputs.indexOf(fileInput), function(err, data) {
+    this._probe(this._inputs.indexOf(fileInput), function(err, data) {
       if (err) {
         return self.emit('error', err);
       }
@@ -450,4 +489,139 @@ module.exports = function recipes(proto) {
 
     return this;
   };
+
+
+  /**
+   * A callback passed to {@link MencoderCommand#detectCrop}.
+   *
+   * @callback MencoderCommand~cropCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} crop detected crop area, with the following keys:
+   * @param {Number} crop.width cropped width
+   * @param {Number} crop.height cropped height
+   * @param {Number} crop.x horizontal offset
+   * @param {Number} crop.y vertical offset
+   */
+
+  /**
+   * Detect black borders in the last specified input
+   *
+   * Runs mencoder with the 'cropdetect' filter on a few frames at several positions
+   * spread over the input, then picks the crop area suggested most often (the
+   * largest one in case of a tie).
+   *
+   * @method MencoderCommand#detectCrop
+   * @category Processing
+   *
+   * @param {Object} [options] detection options
+   * @param {Number} [options.samples=5] number of positions to sample
+   * @param {Number} [options.frames=50] number of frames to analyze at each position
+   * @param {Number} [options.limit=24] black level threshold (0-255)
+   * @param {Number} [options.round=16] round crop size to multiples of this value
+   * @param {MencoderCommand~cropCallback} callback callback function
+   */
+  proto.detectCrop = function(options, callback) {
+    var self = this;
+    var input = this._currentInput;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    var samples = options.samples || 5;
+    var frames = options.frames || 50;
+    var limit = 'limit' in options ? options.limit : 24;
+    var round = options.round || 16;
+
+    if (!input) {
+      return callback(new Error('No input specified'));
+    } else if (input.isStream) {
+      return callback(new Error('Cannot detect crop area on stream input'));
+    }
+
+    async.waterfall([
+      // Compute sample positions from input duration
+      function(next) {
+        self._probe(self._inputs.indexOf(input), function(err, data) {
+          if (err) {
+            return next(err);
+          }
+
+          var duration = Number(data.format && data.format.duration);
+
+          if (isNaN(duration) || duration <= 0) {
+            return next(new Error('Could not get input duration, cannot sample crop area'));
+          }
+
+          var positions = [];
+          for (var i = 1; i <= samples; i++) {
+            positions.push(Math.floor(duration * i / (samples + 1)));
+          }
+
+          next(null, positions);
+        });
+      },
+
+      // Run cropdetect at each position
+      function(positions, next) {
+        async.mapSeries(positions, function(position, cb) {
+          var args = input.options.get().concat([
+            input.source,
+            '-ss', position,
+            '-frames', frames,
+            '-nosound',
+            '-ovc', 'raw',
+            '-vf', 'cropdetect=' + limit + ':' + round,
+            '-o', utils.isWindows ? 'NUL' : '/dev/null'
+          ]);
+
+          self._spawnMencoder(args, { captureStdout: true }, function(err, stdout) {
+            if (err) {
+              return cb(err);
+            }
+
+            var suggestions = stdout.match(/crop=\d+:\d+:\d+:\d+/g) || [];
+
+            if (!suggestions.length) {
+              self.logger.warn('No crop area detected at ' + position + 's');
+            }
+
+            // Suggestions stabilize over time, keep the last one
+            cb(null, suggestions[suggestions.length - 1]);
+          });
+        }, next);
+      },
+
+      // Pick consensus
+      function(suggestions, next) {
+        var counts = {};
+
+        suggestions.filter(Boolean).forEach(function(suggestion) {
+          counts[suggestion] = (counts[suggestion] || 0) + 1;
+        });
+
+        var best = Object.keys(counts).map(function(suggestion) {
+          var values = suggestion.substr(5).split(':').map(Number);
+
+          return {
+            count: counts[suggestion],
+            crop: { width: values[0], height: values[1], x: values[2], y: values[3] }
+          };
+        }).sort(function(a, b) {
+          return (b.count - a.count) ||
+            (b.crop.width * b.crop.height - a.crop.width * a.crop.height);
+        })[0];
+
+        if (!best) {
+          return next(new Error('Could not detect crop area'));
+        }
+
+        self.logger.debug('Detected crop area ' + JSON.stringify(best.crop) +
+          ' (suggested ' + best.count + ' times out of ' + suggestions.length + ')');
+
+        next(null, best.crop);
+      }
+    ], callback);
+  };
 };
@@ -0,0 +1,94 @@
+/*jshint node:true*/
+/*global describe,it*/
+'use strict';
+
+var should = require('should');
+var PassThrough = require('stream').PassThrough;
+var containers = require('../containers');
+var utils = require('../utils');
+
+
+function makeOutput(target, format) {
+  var output = { target: target, encoding: {}, encoderOptions: {} };
+
+  ['audio', 'video', 'options'].forEach(function(key) {
+    output[key] = utils.args();
+  });
+
+  if (format) {
+    containers.set(output, format);
+  }
+
+  return output;
+}
+
+
+describe('Containers', function() {
+  describe('set', function() {
+    it('should use the profile muxer for known containers', function() {
+      var output = makeOutput('/path/to/output.mpg', 'mpeg');
+
+      output.container.should.equal('mpeg');
+      output.options.find('-of', 1).should.eql(['mpeg']);
+    });
+
+    it('should use libavformat for other formats', function() {
+      var output = makeOutput('/path/to/output.nut', 'nut');
+
+      should.not.exist(output.container);
+      output.options.find('-of', 1).should.eql(['lavf']);
+      output.encoderOptions.lavfopts.should.eql({ format: 'nut' });
+    });
+
+    it('should reject invalid format names', function() {
+      (function() {
+        makeOutput('/path/to/output.avi', 'a b');
+      }).should.throw(/Invalid output format/);
+    });
+  });
+
+  describe('check', function() {
+    it('should accept codecs supported by the container', function() {
+      var output = makeOutput('/path/to/output.mp4', 'mp4');
+      output.video('-ovc', 'x264');
+      output.audio('-oac', 'faac');
+
+      containers.check(output).should.eql([]);
+    });
+
+    it('should report codecs not supported by the container', function() {
+      var output = makeOutput('/path/to/output.webm', 'webm');
+      output.video('-ovc', 'x264');
+      output.audio('-oac', 'mp3lame');
+
+      containers.check(output).should.have.length(2);
+    });
+
+    it('should ignore audio codecs for passes discarding audio', function() {
+      var output = makeOutput('/path/to/output.flv', 'flv');
+      output.audio('-oac', 'pcm');
+
+      containers.check(output).should.have.length(1);
+      containers.check(output, { number: 1, last: false }).should.eql([]);
+    });
+
+    it('should reject FourCC on non-AVI outputs', function() {
+      var output = makeOutput('/path/to/output.mkv', 'mkv');
+      output.video('-ovc', 'copy', '-ffourcc', 'XVID');
+
+      containers.check(output).should.eql(['FourCC can only be set for AVI outputs']);
+
+      output = makeOutput('/path/to/output.avi');
+      output.video('-ovc', 'copy', '-ffourcc', 'XVID');
+
+      containers.check(output).should.eql([]);
+    });
+
+    it('should reject formats needing a seekable output for streams', function() {
+      containers.check(makeOutput(new PassThrough())).should.have.length(1);
+      containers.check(makeOutput(new PassThrough(), 'mp4')).should.have.length(1);
+      containers.check(makeOutput(new PassThrough(), 'mpeg')).should.eql([]);
+      containers.check(makeOutput(new PassThrough(), 'mkv')).should.eql([]);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/*jshint node:true*/
+/*global describe,it,beforeEach*/
+'use strict';
+
+var should = require('should');
+var encoders = require('../encoders');
+var utils = require('../utils');
+
+
+function makeOutput() {
+  var output = { encoding: {}, encoderOptions: {} };
+
+  ['audio', 'video', 'options'].forEach(function(key) {
+    output[key] = utils.args();
+  });
+
+  return output;
+}
+
+
+describe('Encoder options', function() {
+  describe('makeOptionString', function() {
+    it('should render key/value pairs separated with colons', function() {
+      encoders.makeOptionString({ vcodec: 'mpeg4', vbitrate: 800 }).should.equal('vcodec=mpeg4:vbitrate=800');
+    });
+
+    it('should render flags as flag/noflag', function() {
+      encoders.makeOptionString({ trell: true, v4mv: false }).should.equal('trell:nov4mv');
+    });
+
+    it('should render an empty string for no options', function() {
+      encoders.makeOptionString({}).should.equal('');
+    });
+  });
+
+  describe('set', function() {
+    var output;
+
+    beforeEach(function() {
+      output = makeOutput();
+    });
+
+    it('should merge options from successive calls', function() {
+      encoders.set(output, 'lavcopts', { vcodec: 'mpeg4' });
+      encoders.set(output, 'lavcopts', { vbitrate: 800 });
+
+      output.encoderOptions.lavcopts.should.eql({ vcodec: 'mpeg4', vbitrate: 800 });
+    });
+
+    it('should reject unknown options and out of range values', function() {
+      (function() {
+        encoders.set(output, 'lavcopts', { foo: 1 });
+      }).should.throw();
+
+      (function() {
+        encoders.set(output, 'lavcopts', { vqscale: 42 });
+      }).should.throw();
+
+      (function() {
+        encoders.set(output, 'lavcopts', { vcodec: 'foo' });
+      }).should.throw();
+    });
+
+    it('should not change anything when an option is invalid', function() {
+      encoders.set(output, 'lavcopts', { vbitrate: 800 });
+
+      (function() {
+        encoders.set(output, 'lavcopts', { vbitrate: 1000, vqscale: 42 });
+      }).should.throw();
+
+      output.encoderOptions.lavcopts.should.eql({ vbitrate: 800 });
+    });
+
+    it('should let the last of conflicting options win', function() {
+      encoders.set(output, 'lameopts', { cbr: true });
+      encoders.set(output, 'lameopts', { vbr: 2 });
+      output.encoderOptions.lameopts.should.eql({ vbr: 2 });
+
+      encoders.set(output, 'lameopts', { abr: true });
+      output.encoderOptions.lameopts.should.eql({ abr: true });
+
+      encoders.set(output, 'faacopts', { br: 128 });
+      encoders.set(output, 'faacopts', { quality: 100 });
+      output.encoderOptions.faacopts.should.eql({ quality: 100 });
+    });
+  });
+
+  describe('getArguments', function() {
+    var output;
+
+    beforeEach(function() {
+      output = makeOutput();
+    });
+
+    it('should translate generic bitrates into encoder options', function() {
+      output.video('-ovc', 'lavc');
+      output.encoding.videoBitrate = 800;
+
+      encoders.getArguments(output).should.eql(['-lavcopts', 'vbitrate=800']);
+    });
+
+    it('should let explicit encoder options take precedence over generic settings', function() {
+      output.video('-ovc', 'lavc');
+      output.encoding.videoBitrate = 800;
+      encoders.set(output, 'lavcopts', { vbitrate: 1200 });
+
+      encoders.getArguments(output).should.eql(['-lavcopts', 'vbitrate=1200']);
+    });
+
+    it('should translate generic audio bitrate and quality into encoder options', function() {
+      output.audio('-oac', 'mp3lame');
+      output.encoding.audioBitrate = 128;
+      encoders.getArguments(output).should.eql(['-lameopts', 'cbr:br=128']);
+
+      delete output.encoding.audioBitrate;
+      output.encoding.audioQuality = 4;
+      encoders.getArguments(output).should.eql(['-lameopts', 'vbr=2:q=4']);
+    });
+
+    it('should skip generic settings conflicting with explicit encoder options', function() {
+      output.audio('-oac', 'mp3lame');
+      output.encoding.audioBitrate = 128;
+      encoders.set(output, 'lameopts', { vbr: 4 });
+
+      encoders.getArguments(output).should.eql(['-lameopts', 'vbr=4:br=128']);
+    });
+
+    it('should leave out options for encoders that are not selected', function() {
+      output.video('-ovc', 'x264');
+      encoders.set(output, 'lavcopts', { vbitrate: 800 });
+
+      encoders.getArguments(output).should.eql([]);
+    });
+
+    it('should fail to set a bitrate without a codec', function() {
+      output.encoding.videoBitrate = 800;
+
+      (function() {
+        encoders.getArguments(output);
+      }).should.throw(/without a video codec/);
+
+      output.encoding = { audioBitrate: 128 };
+
+      (function() {
+        encoders.getArguments(output);
+      }).should.throw(/without an audio codec/);
+    });
+
+    it('should fail to set a quality with encoders that have none', function() {
+      output.audio('-oac', 'lavc');
+      output.encoding.audioQuality = 4;
+
+      (function() {
+        encoders.getArguments(output);
+      }).should.throw(/with audio codec lavc/);
+    });
+
+    it('should set the pass number and leave out audio options for first passes', function() {
+      output.video('-ovc', 'x264');
+      output.audio('-oac', 'mp3lame');
+      output.encoding.audioBitrate = 128;
+
+      encoders.getArguments(output, { number: 1, last: false }).should.eql(['-x264encopts', 'pass=1']);
+      encoders.getArguments(output, { number: 2, last: true }).should.eql(['-x264encopts', 'pass=2', '-lameopts', 'cbr:br=128']);
+    });
+
+    it('should fail to run multiple passes with encoders that have no pass option', function() {
+      output.video('-ovc', 'copy');
+
+      (function() {
+        encoders.getArguments(output, { number: 1, last: false });
+      }).should.throw(/not supported with video codec copy/);
+    });
+  });
+});
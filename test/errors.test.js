@@ -0,0 +1,55 @@
+/*jshint node:true*/
+/*global describe,it*/
+'use strict';
+
+var should = require('should');
+var MencoderError = require('../errors');
+
+
+describe('MencoderError', function() {
+  it('should be an Error', function() {
+    var err = new MencoderError('mencoder exited with code 1', { code: 1, args: ['mencoder', 'in.avi'] });
+
+    err.should.be.an.instanceof(Error);
+    err.name.should.equal('MencoderError');
+    err.code.should.equal(1);
+    err.args.should.eql(['mencoder', 'in.avi']);
+  });
+
+  describe('classify', function() {
+    it('should recognize known failures', function() {
+      MencoderError.classify('Cannot find codec for video format 0x1.').should.equal('missing-codec');
+      MencoderError.classify('Unknown suboption foo').should.equal('unknown-option');
+      MencoderError.classify('File not found: \'in.avi\'').should.equal('file-not-found');
+      MencoderError.classify('Cannot open demuxer.').should.equal('demuxer');
+      MencoderError.classify('Something else happened').should.equal('unknown');
+    });
+
+    it('should classify failures with a signal as killed', function() {
+      MencoderError.classify('File not found', 'SIGKILL').should.equal('killed');
+    });
+
+    it('should flag timeouts and signals as retryable', function() {
+      new MencoderError('timeout', { reason: 'timeout' }).retryable.should.be.true;
+      new MencoderError('killed', { signal: 'SIGTERM' }).retryable.should.be.true;
+      new MencoderError('failed', { stderr: 'Cannot open demuxer.' }).retryable.should.be.false;
+    });
+  });
+
+  describe('tail', function() {
+    it('should keep the last 20 lines without status lines', function() {
+      var lines = [];
+
+      for (var i = 0; i < 30; i++) {
+        lines.push('line ' + i);
+        lines.push('Pos:   1.0s     25f ( 5%) 25.00fps Trem:   0min   0mb  A-V:0.000 [0:0]');
+      }
+
+      var tail = MencoderError.tail(lines.join('\r\n')).split('\n');
+
+      tail.should.have.length(20);
+      tail[0].should.equal('line 10');
+      tail[19].should.equal('line 29');
+    });
+  });
+});
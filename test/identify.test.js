@@ -0,0 +1,103 @@
+/*jshint node:true*/
+/*global describe,it*/
+'use strict';
+
+var should = require('should');
+var parseIdentifyOutput = require('../identify').parseIdentifyOutput;
+
+
+var output = [
+  'ID_VIDEO_ID=0',
+  'ID_AUDIO_ID=1',
+  'ID_AID_1_LANG=eng',
+  'ID_AUDIO_ID=2',
+  'ID_AID_2_LANG=fre',
+  'ID_SUBTITLE_ID=0',
+  'ID_SID_0_NAME=Forced',
+  'ID_CLIP_INFO_NAME0=Title',
+  'ID_CLIP_INFO_VALUE0=Sample',
+  'ID_FILENAME=/path/to/input.avi',
+  'ID_DEMUXER=avi',
+  'ID_VIDEO_FORMAT=XVID',
+  'ID_VIDEO_BITRATE=1200000',
+  'ID_VIDEO_WIDTH=640',
+  'ID_VIDEO_HEIGHT=480',
+  'ID_VIDEO_FPS=29.970',
+  'ID_VIDEO_ASPECT=1.3333',
+  'ID_AUDIO_FORMAT=85',
+  'ID_AUDIO_BITRATE=128000',
+  'ID_AUDIO_RATE=44100',
+  'ID_AUDIO_NCH=2',
+  'ID_START_TIME=0.00',
+  'ID_LENGTH=120.50',
+  'ID_CHAPTER_1_START=60000',
+  'ID_CHAPTER_1_END=120500',
+  'ID_CHAPTER_0_START=0',
+  'ID_CHAPTER_0_END=60000',
+  'ID_CHAPTER_0_NAME=Intro',
+  'ID_VIDEO_CODEC=ffodivx',
+  'ID_AUDIO_CODEC=mpg123'
+].join('\n');
+
+
+describe('Identify output parser', function() {
+  var data = parseIdentifyOutput(output);
+
+  it('should list streams', function() {
+    data.streams.map(function(stream) {
+      return stream.codec_type + ':' + stream.id;
+    }).should.eql(['video:0', 'audio:1', 'audio:2', 'subtitle:0']);
+
+    data.streams[1].tags.should.eql({ language: 'eng' });
+    data.streams[3].tags.should.eql({ title: 'Forced' });
+  });
+
+  it('should map formats to ffprobe codec names and keep decoder names', function() {
+    var video = data.streams[0];
+    var audio = data.streams[1];
+
+    video.codec_name.should.equal('mpeg4');
+    video.codec_tag_string.should.equal('XVID');
+    video.decoder.should.equal('ffodivx');
+
+    audio.codec_name.should.equal('mp3');
+    audio.decoder.should.equal('mpg123');
+  });
+
+  it('should parse stream details', function() {
+    var video = data.streams[0];
+    var audio = data.streams[1];
+
+    video.width.should.equal(640);
+    video.height.should.equal(480);
+    video.bit_rate.should.equal(1200000);
+    video.r_frame_rate.should.equal('30000/1001');
+    video.duration.should.equal(120.5);
+
+    audio.sample_rate.should.equal(44100);
+    audio.channels.should.equal(2);
+  });
+
+  it('should parse format details', function() {
+    data.format.filename.should.equal('/path/to/input.avi');
+    data.format.format_name.should.equal('avi');
+    data.format.duration.should.equal(120.5);
+    data.format.start_time.should.equal(0);
+    data.format.nb_streams.should.equal(4);
+    data.format.tags.should.eql({ title: 'Sample' });
+  });
+
+  it('should parse chapters in order, in seconds', function() {
+    data.chapters.should.eql([
+      { id: 0, start_time: 0, end_time: 60, tags: { title: 'Intro' } },
+      { id: 1, start_time: 60, end_time: 120.5 }
+    ]);
+  });
+
+  it('should leave unknown codec names undefined', function() {
+    var stream = parseIdentifyOutput('ID_VIDEO_FORMAT=ABCD\nID_VIDEO_CODEC=foo\n').streams[0];
+
+    should.not.exist(stream.codec_name);
+    stream.decoder.should.equal('foo');
+  });
+});
@@ -0,0 +1,174 @@
+/*jshint node:true*/
+/*global describe,it*/
+'use strict';
+
+var should = require('should');
+var MencoderCommand = require('../mencoder');
+
+
+function getArgs(command) {
+  return command._getArguments(command._outputs[0]);
+}
+
+
+// Get the value following an option in an argument list
+function getOption(args, option) {
+  var index = args.indexOf(option);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+
+describe('Command options', function() {
+  it('should build encoder option strings from generic settings', function() {
+    var command = new MencoderCommand('/path/to/input.avi')
+      .output('/path/to/output.avi')
+      .videoCodec('x264')
+      .videoBitrate(800)
+      .audioCodec('mp3lame')
+      .audioBitrate(128);
+
+    getArgs(command).should.eql([
+      '/path/to/input.avi',
+      '-oac', 'mp3lame',
+      '-ovc', 'x264', '-x264encopts', 'bitrate=800',
+      '-lameopts', 'cbr:br=128',
+      '-o', '/path/to/output.avi'
+    ]);
+  });
+
+  it('should render lavc flags', function() {
+    var command = new MencoderCommand('/path/to/input.avi')
+      .output('/path/to/output.avi')
+      .videoCodec('lavc')
+      .lavcOptions({ vcodec: 'mpeg4', trell: true, v4mv: false });
+
+    getOption(getArgs(command), '-lavcopts').should.equal('vcodec=mpeg4:trell:nov4mv');
+  });
+
+  it('should let the last of audio bitrate and quality win', function() {
+    var command = new MencoderCommand('/path/to/input.avi')
+      .output('/path/to/output.avi')
+      .audioCodec('mp3lame')
+      .audioBitrate(128)
+      .audioQuality(2);
+
+    getOption(getArgs(command), '-lameopts').should.equal('vbr=2:q=2');
+
+    command.audioBitrate(192);
+    getOption(getArgs(command), '-lameopts').should.equal('cbr:br=192');
+  });
+
+  it('should validate audio quality against the selected encoder', function() {
+    var command = new MencoderCommand('/path/to/input.avi')
+      .output('/path/to/output.avi')
+      .audioCodec('mp3lame')
+      .audioQuality(15);
+
+    (function() {
+      getArgs(command);
+    }).should.throw(/lameopts option q: 15 is out of range/);
+
+    command.audioQuality('abc');
+
+    (function() {
+      getArgs(command);
+    }).should.throw(/expected an integer/);
+
+    command.audioCodec('faac').audioQuality(100);
+    getOption(getArgs(command), '-faacopts').should.equal('quality=100');
+  });
+
+  it('should re-enable audio when setting an audio codec', function() {
+    var command = new MencoderCommand('/path/to/input.avi')
+      .output('/path/to/output.avi')
+      .noAudio()
+      .audioCodec('mp3lame');
+
+    getArgs(command).should.not.containEql('-nosound');
+  });
+
+  it('should re-enable video when setting a video codec', function() {
+    var command = new MencoderCommand('/path/to/input.avi')
+      .output('/path/to/output.avi')
+      .noVideo()
+      .videoCodec('x264');
+
+    getArgs(command).should.not.containEql('-novideo');
+  });
+
+  describe('deinterlace detection', function() {
+    function detect(stream) {
+      var command = new MencoderCommand('/path/to/input.mpg')
+        .output('/path/to/output.avi')
+        .deinterlace('detect');
+
+      stream.codec_type = 'video';
+      command._ffprobeData = { streams: [stream], format: {} };
+
+      return command._getDeinterlacing(command._outputs[0]);
+    }
+
+    it('should use inverse telecine for soft-telecined inputs, whatever their size', function() {
+      [480, 1080].forEach(function(height) {
+        var result = detect({
+          height: height,
+          field_order: 'progressive',
+          r_frame_rate: '30000/1001',
+          avg_frame_rate: '24000/1001'
+        });
+
+        result.filters.should.eql(['pullup']);
+        result.tail.should.eql(['softskip']);
+        result.fps.should.equal('24000/1001');
+      });
+    });
+
+    it('should use yadif for interlaced NTSC inputs', function() {
+      detect({
+        codec_name: 'mpeg2video',
+        height: 480,
+        field_order: 'tt',
+        r_frame_rate: '30000/1001',
+        avg_frame_rate: '30000/1001'
+      }).filters.should.eql(['yadif']);
+    });
+
+    it('should leave progressive inputs untouched', function() {
+      detect({
+        field_order: 'progressive',
+        r_frame_rate: '25/1',
+        avg_frame_rate: '25/1'
+      }).filters.should.eql([]);
+    });
+
+    it('should fail without field order information', function() {
+      (function() {
+        detect({ r_frame_rate: '30000/1001', avg_frame_rate: '30000/1001' });
+      }).should.throw(/field order is not available/);
+    });
+  });
+
+  it('should add container muxer options', function() {
+    var command = new MencoderCommand('/path/to/input.avi')
+      .output('/path/to/output.mp4')
+      .format('mp4')
+      .videoCodec('x264')
+      .audioCodec('faac');
+
+    var args = getArgs(command);
+
+    getOption(args, '-of').should.equal('lavf');
+    getOption(args, '-lavfopts').should.equal('format=mp4');
+  });
+
+  it('should fail to build arguments with codecs unsupported by the container', function() {
+    var command = new MencoderCommand('/path/to/input.avi')
+      .output('/path/to/output.webm')
+      .format('webm')
+      .videoCodec('x264');
+
+    (function() {
+      getArgs(command);
+    }).should.throw(/does not support video codec h264/);
+  });
+});
@@ -0,0 +1,82 @@
+/*jshint node:true*/
+/*global describe,it,beforeEach,afterEach*/
+'use strict';
+
+var should = require('should');
+var MencoderCommand = require('../mencoder');
+
+
+describe('Command lines', function() {
+  beforeEach(function() {
+    MencoderCommand.prototype.setMencoderPath('/path/to/mencoder');
+  });
+
+  afterEach(function() {
+    MencoderCommand.prototype._forgetPaths();
+  });
+
+  describe('toString', function() {
+    it('should return the command line synchronously', function() {
+      var command = new MencoderCommand('/path/to/input.avi')
+        .output('/path/to/my output.avi')
+        .videoCodec('x264');
+
+      command.toString().should.equal('/path/to/mencoder /path/to/input.avi -ovc x264 -o \'/path/to/my output.avi\'');
+      ('Running ' + command).should.equal('Running ' + command.toString());
+    });
+
+    it('should apply the niceness wrapper', function() {
+      var command = new MencoderCommand('/path/to/input.avi', { niceness: 10 })
+        .output('/path/to/output.avi');
+
+      if (require('../utils').isWindows) {
+        command.toString().should.equal('/path/to/mencoder /path/to/input.avi -o /path/to/output.avi');
+      } else {
+        command.toString().should.equal('nice -n 10 /path/to/mencoder /path/to/input.avi -o /path/to/output.avi');
+      }
+    });
+
+    it('should default to the mencoder command when its path is unknown', function() {
+      MencoderCommand.prototype._forgetPaths();
+
+      new MencoderCommand('/path/to/input.avi')
+        .output('/path/to/output.avi')
+        .toString().should.equal('mencoder /path/to/input.avi -o /path/to/output.avi');
+    });
+
+    it('should fail when arguments depend on input metadata', function() {
+      var command = new MencoderCommand('/path/to/input.avi')
+        .output('/path/to/output.avi')
+        .autoCrop();
+
+      (function() {
+        command.toString();
+      }).should.throw(/toCommandLine/);
+    });
+  });
+
+  describe('toArgs', function() {
+    it('should not validate the command', function(done) {
+      new MencoderCommand('/path/to/missing.avi')
+        .output('/path/to/output.avi')
+        .toArgs(function(err, commands) {
+          should.not.exist(err);
+          commands.should.eql([['/path/to/mencoder', '/path/to/missing.avi', '-o', '/path/to/output.avi']]);
+          done();
+        });
+    });
+
+    it('should return one command for each pass of each output', function(done) {
+      new MencoderCommand('/path/to/input.avi', { passes: 2 })
+        .output('/path/to/output1.avi')
+        .videoCodec('x264')
+        .output('/path/to/output2.avi')
+        .videoCodec('x264')
+        .toCommandLine(function(err, commandLine) {
+          should.not.exist(err);
+          commandLine.split(' && ').should.have.length(4);
+          done();
+        });
+    });
+  });
+});
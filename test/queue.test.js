@@ -0,0 +1,164 @@
+/*jshint node:true*/
+/*global describe,it,beforeEach*/
+'use strict';
+
+var should = require('should');
+var EventEmitter = require('events').EventEmitter;
+var MencoderQueue = require('../queue');
+
+
+// Fake command, ending when its 'finish' method is called
+function FakeCommand(name, log) {
+  var command = new EventEmitter();
+
+  command.name = name;
+
+  command.run = function() {
+    log.push('run ' + name);
+    command.mencoderProc = {};
+    command.emit('start', name);
+  };
+
+  command.finish = function(err) {
+    command.mencoderProc = null;
+
+    if (err) {
+      command.emit('error', err);
+    } else {
+      command.emit('end', '', '');
+    }
+  };
+
+  command.kill = function() {
+    log.push('kill ' + name);
+  };
+
+  return command;
+}
+
+
+describe('MencoderQueue', function() {
+  var log;
+
+  beforeEach(function() {
+    log = [];
+  });
+
+  it('should run jobs by priority, then in insertion order', function() {
+    var queue = new MencoderQueue({ concurrency: 1, paused: true });
+    var a = new FakeCommand('a', log);
+    var b = new FakeCommand('b', log);
+    var c = new FakeCommand('c', log);
+    var d = new FakeCommand('d', log);
+
+    queue.add(a);
+    queue.add(b, { priority: 5 });
+    queue.add(c);
+    queue.add(d, { priority: 5 });
+    queue.resume();
+
+    [b, d, a, c].forEach(function(command) {
+      command.finish();
+    });
+
+    log.should.eql(['run b', 'run d', 'run a', 'run c']);
+  });
+
+  it('should respect the concurrency limit', function() {
+    var queue = new MencoderQueue({ concurrency: 2 });
+    var a = new FakeCommand('a', log);
+
+    queue.add(a);
+    queue.add(new FakeCommand('b', log));
+    queue.add(new FakeCommand('c', log));
+
+    log.should.eql(['run a', 'run b']);
+    queue.progress().running.should.equal(2);
+
+    a.finish();
+    log.should.eql(['run a', 'run b', 'run c']);
+  });
+
+  it('should count one process per output for commands running outputs in parallel', function() {
+    var queue = new MencoderQueue({ concurrency: 3 });
+    var a = new FakeCommand('a', log);
+    var b = new FakeCommand('b', log);
+    var c = new FakeCommand('c', log);
+
+    b.options = { parallel: true };
+    b._outputs = [{ target: 'b1.avi' }, { target: 'b2.avi' }, { target: 'b3.avi' }];
+
+    queue.add(a);
+    queue.add(b);
+    queue.add(c);
+
+    // b needs 3 processes, wait for a to end
+    log.should.eql(['run a']);
+
+    a.finish();
+    log.should.eql(['run a', 'run b']);
+
+    b.finish();
+    log.should.eql(['run a', 'run b', 'run c']);
+  });
+
+  it('should run commands with more outputs than the limit alone', function() {
+    var queue = new MencoderQueue({ concurrency: 2 });
+    var a = new FakeCommand('a', log);
+
+    a.options = { parallel: true };
+    a._outputs = [{ target: 'a1.avi' }, { target: 'a2.avi' }, { target: 'a3.avi' }];
+
+    queue.add(a);
+    queue.add(new FakeCommand('b', log));
+
+    log.should.eql(['run a']);
+
+    a.finish();
+    log.should.eql(['run a', 'run b']);
+  });
+
+  it('should report job failures and aggregate progress', function() {
+    var queue = new MencoderQueue({ concurrency: 2 });
+    var a = new FakeCommand('a', log);
+    var b = new FakeCommand('b', log);
+    var errors = [];
+
+    queue.on('jobError', function(job, err) {
+      errors.push(err.message);
+    });
+
+    queue.add(a);
+    var job = queue.add(b);
+
+    a.finish();
+    b.finish(new Error('failed'));
+
+    errors.should.eql(['failed']);
+    job.state.should.equal('failed');
+    queue.progress().should.eql({ percent: 100, total: 2, queued: 0, running: 0, done: 1, failed: 1, cancelled: 0 });
+  });
+
+  it('should emit drain once, after cancelled jobs have ended', function() {
+    var queue = new MencoderQueue({ concurrency: 1 });
+    var a = new FakeCommand('a', log);
+    var drained = 0;
+
+    queue.on('drain', function() {
+      drained++;
+    });
+
+    queue.add(a);
+    queue.add(new FakeCommand('b', log));
+    queue.cancelAll();
+
+    log.should.eql(['run a', 'kill a']);
+    drained.should.equal(0);
+
+    a.finish(new Error('killed'));
+    drained.should.equal(1);
+
+    queue.resume();
+    drained.should.equal(1);
+  });
+});
@@ -0,0 +1,94 @@
+/*jshint node:true*/
+/*global describe,it*/
+'use strict';
+
+var should = require('should');
+var EventEmitter = require('events').EventEmitter;
+var utils = require('../utils');
+
+
+function collectProgress(output, duration, passIndex, passCount) {
+  var emitter = new EventEmitter();
+  var progress = [];
+
+  emitter.on('progress', function(p) {
+    progress.push(p);
+  });
+
+  var remainder = utils.extractProgress(emitter, output, duration, passIndex, passCount);
+
+  return { progress: progress, remainder: remainder };
+}
+
+
+describe('Utilities', function() {
+  describe('extractProgress', function() {
+    var line = 'Pos:  12.3s    307f (25%) 45.20fps Trem:   1min  12mb  A-V:0.040 [1200:128]';
+
+    it('should parse mencoder status lines', function() {
+      var result = collectProgress(line + '\r');
+
+      result.progress.should.have.length(1);
+      result.progress[0].should.eql({
+        position: 12.3,
+        frames: 307,
+        percent: 25,
+        currentFps: 45.2,
+        remaining: 60,
+        targetSize: 12,
+        avDelay: 0.04,
+        videoBitrate: 1200,
+        audioBitrate: 128
+      });
+    });
+
+    it('should only report the last complete status line', function() {
+      var result = collectProgress('Pos:   1.0s     25f ( 2%) 25.00fps Trem:   2min  12mb\r' + line + '\rPos:  12');
+
+      result.progress.should.have.length(1);
+      result.progress[0].frames.should.equal(307);
+      result.remainder.should.equal('Pos:  12');
+    });
+
+    it('should ignore other lines', function() {
+      var result = collectProgress('VIDEO:  [XVID]  640x480  12bpp  25.000 fps\n');
+
+      result.progress.should.have.length(0);
+      result.remainder.should.equal('');
+    });
+
+    it('should compute percent from the input duration', function() {
+      collectProgress(line + '\r', 49.2).progress[0].percent.should.equal(25);
+    });
+
+    it('should report progress across passes', function() {
+      var progress = collectProgress(line + '\r', 0, 1, 2).progress[0];
+
+      progress.pass.should.equal(2);
+      progress.passes.should.equal(2);
+      progress.percent.should.equal(62.5);
+    });
+  });
+
+  describe('shellQuote', function() {
+    it('should leave safe arguments unquoted', function() {
+      utils.shellQuote(['mencoder', '/path/to/input.avi', '-lameopts', 'cbr:br=128']).should.equal(
+        'mencoder /path/to/input.avi -lameopts cbr:br=128'
+      );
+    });
+
+    if (utils.isWindows) {
+      it('should quote arguments and escape cmd.exe special characters', function() {
+        utils.shellQuote(['mencoder', 'a b', '50%', 'a&b', 'say "hi"']).should.equal(
+          'mencoder ^"a b^" ^"50^%^" ^"a^&b^" ^"say \\^"hi\\^"^"'
+        );
+      });
+    } else {
+      it('should single-quote arguments with special characters', function() {
+        utils.shellQuote(['mencoder', 'a b', 'a&b', 'it\'s']).should.equal(
+          'mencoder \'a b\' \'a&b\' \'it\'\\\'\'s\''
+        );
+      });
+    }
+  });
+});
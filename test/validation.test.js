@@ -0,0 +1,88 @@
+/*jshint node:true*/
+/*global describe,it,afterEach*/
+'use strict';
+
+var should = require('should');
+var os = require('os');
+var path = require('path');
+var MencoderCommand = require('../mencoder');
+
+
+describe('Validation', function() {
+  var output = path.join(os.tmpdir(), 'output.avi');
+
+  function allFilters(callback) {
+    callback(null, { yadif: {}, pullup: {}, softskip: {} });
+  }
+
+  afterEach(function() {
+    MencoderCommand.prototype._forgetPaths();
+  });
+
+  it('should report missing inputs', function(done) {
+    new MencoderCommand('/path/to/missing.avi')
+      .output(output)
+      .validate(function(err, problems) {
+        should.not.exist(err);
+        problems.should.have.length(1);
+        problems[0].should.match(/Cannot read input file/);
+        done();
+      });
+  });
+
+  it('should report filters added by helpers that mencoder does not provide', function(done) {
+    var command = new MencoderCommand(__filename)
+      .output(output)
+      .videoCodec('x264')
+      .size('640x480')
+      .autopad()
+      .deinterlace('ivtc')
+      .autoCrop();
+
+    command.availableVideoEncoders = function(callback) {
+      callback(null, { x264: {} });
+    };
+
+    command.availableVideoFilters = function(callback) {
+      callback(null, { scale: {}, yadif: {}, crop: {} });
+    };
+
+    command.validate(function(err, problems) {
+      should.not.exist(err);
+      problems.should.eql(['Video filters dsize, expand, pullup, softskip, cropdetect are not available']);
+      done();
+    });
+  });
+
+  it('should reject interlacing detection without ffprobe', function(done) {
+    MencoderCommand.prototype.setFfprobePath('');
+
+    var command = new MencoderCommand(__filename)
+      .output(output)
+      .deinterlace('detect');
+
+    command.availableVideoFilters = allFilters;
+
+    command.validate(function(err, problems) {
+      should.not.exist(err);
+      problems.should.eql(['Deinterlacing mode \'detect\' requires ffprobe to read the input field order']);
+      done();
+    });
+  });
+
+  it('should accept interlacing detection with ffprobe', function(done) {
+    MencoderCommand.prototype.setFfprobePath('/path/to/ffprobe');
+
+    var command = new MencoderCommand(__filename)
+      .output(output)
+      .deinterlace('detect');
+
+    command.availableVideoFilters = allFilters;
+
+    command.validate(function(err, problems) {
+      should.not.exist(err);
+      problems.should.eql([]);
+      done();
+    });
+  });
+});
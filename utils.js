@@ -6,34 +6,46 @@ var isWindows = require('os').platform().match(/win(32|64)/);
 
 var nlRegexp = /\r\n|\r|\n/g;
 var streamRegexp = /^\[?(.*?)\]?$/;
-var filterEscapeRegexp = /[,]/;
+var filterEscapeRegexp = /[,:]/;
+var progressRegexp = /Pos:\s*(-?[\d.]+)s\s+(\d+)f\s+\(\s*(\d+)%\)\s+([\d.]+)fps\s+Trem:\s*(\d+)min\s+(\d+)mb(?:\s+A-V:\s*(-?[\d.]+))?(?:\s+\[(\d+):(\d+)\])?/;
 var whichCache = {};
+var shellSafeRegexp = /^[a-zA-Z0-9_\/.,:=+@%-]+$/;
+var cmdSafeRegexp = /^[a-zA-Z0-9_\\\/.,:=+@-]+$/;
+var cmdSpecialRegexp = /[()%!^"<>&|]/g;
 
 /**
- * Parse progress line from mencoder stderr
+ * Parse mencoder status line
  *
- * @param {String} line progress line
- * @return progress object
+ * Status lines look like:
+ *   Pos:  12.3s    307f (25%) 45.20fps Trem:   1min  12mb  A-V:0.000 [1200:128]
+ *
+ * @param {String} line status line
+ * @return progress object, or null if the line is not a status line
  * @private
  */
 function parseProgressLine(line) {
-  var progress = {};
-
-  // Remove all spaces after = and trim
-  line  = line.replace(/=\s+/g, '=').trim();
-  var progressParts = line.split(' ');
+  var match = line.match(progressRegexp);
 
-  // Split every progress part by "=" to get key and value
-  for(var i = 0; i < progressParts.length; i++) {
-    var progressSplit = progressParts[i].split('=', 2);
-    var key = progressSplit[0];
-    var value = progressSplit[1];
+  if (!match) {
+    return null;
+  }
 
-    // This is not a progress line
-    if(typeof value === 'undefined')
-      return null;
+  var progress = {
+    position: Number(match[1]),
+    frames: parseInt(match[2], 10),
+    percent: parseInt(match[3], 10),
+    currentFps: Number(match[4]),
+    remaining: parseInt(match[5], 10) * 60,
+    targetSize: parseInt(match[6], 10)
+  };
+
+  if (typeof match[7] !== 'undefined') {
+    progress.avDelay = Number(match[7]);
+  }
 
-    progress[key] = value;
+  if (typeof match[8] !== 'undefined') {
+    progress.videoBitrate = parseInt(match[8], 10);
+    progress.audioBitrate = parseInt(match[9], 10);
   }
 
   return progress;
@@ -121,80 +133,55 @@ var utils = module.exports = {
 
 
   /**
-   * Generate filter strings
+   * Generate mencoder filter strings
+   *
+   * mencoder filter strings have the form 'filter=arg1:arg2:arg3', some filters
+   * also accept named arguments ('filter=arg1=v1:arg2=v2').  mencoder has no way to
+   * escape separators, so option values must not contain ',' or ':'.
    *
    * @param {String[]|Object[]} filters filter specifications. When using objects,
    *   each must have the following properties:
    * @param {String} filters.filter filter name
-   * @param {String|Array} [filters.inputs] (array of) input stream specifier(s) for the filter,
-   *   defaults to mencoder automatically choosing the first unused matching streams
-   * @param {String|Array} [filters.outputs] (array of) output stream specifier(s) for the filter,
-   *   defaults to mencoder automatically assigning the output to the output file
    * @param {Object|String|Array} [filters.options] filter options, can be omitted to not set any options
    * @return String[]
    * @private
    */
   makeFilterStrings: function(filters) {
+    function checkValue(filter, value) {
+      if (('' + value).match(filterEscapeRegexp)) {
+        throw new Error('Invalid ' + filter + ' filter option value: ' + value);
+      }
+
+      return value;
+    }
+
     return filters.map(function(filterSpec) {
       if (typeof filterSpec === 'string') {
         return filterSpec;
       }
 
-      var filterString = '';
-
-      // Filter string format is:
-      // [input1][input2]...filter[output1][output2]...
-      // The 'filter' part can optionaly have arguments:
-      //   filter=arg1:arg2:arg3
-      //   filter=arg1=v1:arg2=v2:arg3=v3
-
-      // Add inputs
-      if (Array.isArray(filterSpec.inputs)) {
-        filterString += filterSpec.inputs.map(function(streamSpec) {
-          return streamSpec.replace(streamRegexp, '[$1]');
-        }).join('');
-      } else if (typeof filterSpec.inputs === 'string') {
-        filterString += filterSpec.inputs.replace(streamRegexp, '[$1]');
+      if (filterSpec.inputs || filterSpec.outputs) {
+        throw new Error('mencoder filters do not support input and output stream specifiers');
       }
 
-      // Add filter
-      filterString += filterSpec.filter;
-
-      // Add options
-      if (filterSpec.options) {
-        if (typeof filterSpec.options === 'string' || typeof filterSpec.options === 'number') {
-          // Option string
-          filterString += '=' + filterSpec.options;
-        } else if (Array.isArray(filterSpec.options)) {
-          // Option array (unnamed options)
-          filterString += '=' + filterSpec.options.map(function(option) {
-            if (typeof option === 'string' && option.match(filterEscapeRegexp)) {
-              return '\'' + option + '\'';
-            } else {
-              return option;
-            }
-          }).join(':');
-        } else if (Object.keys(filterSpec.options).length) {
-          // Option object (named options)
-          filterString += '=' + Object.keys(filterSpec.options).map(function(option) {
-            var value = filterSpec.options[option];
-
-            if (typeof value === 'string' && value.match(filterEscapeRegexp)) {
-              value = '\'' + value + '\'';
-            }
-
-            return option + '=' + value;
+      var filterString = filterSpec.filter;
+      var options = filterSpec.options;
+
+      if (typeof options === 'string' || typeof options === 'number') {
+        // Option string
+        filterString += '=' + options;
+      } else if (Array.isArray(options)) {
+        // Option array (unnamed options)
+        if (options.length) {
+          filterString += '=' + options.map(function(option) {
+            return checkValue(filterSpec.filter, option);
           }).join(':');
         }
-      }
-
-      // Add outputs
-      if (Array.isArray(filterSpec.outputs)) {
-        filterString += filterSpec.outputs.map(function(streamSpec) {
-          return streamSpec.replace(streamRegexp, '[$1]');
-        }).join('');
-      } else if (typeof filterSpec.outputs === 'string') {
-        filterString += filterSpec.outputs.replace(streamRegexp, '[$1]');
+      } else if (options && Object.keys(options).length) {
+        // Option object (named options)
+        filterString += '=' + Object.keys(options).map(function(option) {
+          return option + '=' + checkValue(filterSpec.filter, options[option]);
+        }).join(':');
       }
 
       return filterString;
@@ -309,42 +296,47 @@ var utils = module.exports = {
 
 
   /**
-   * Extract progress data from mencoder stderr and emit 'progress' event if appropriate
+   * Extract progress data from mencoder output and emit 'progress' event if appropriate
+   *
+   * mencoder terminates its status lines with carriage returns, so output chunks may end
+   * in the middle of a line.  Only complete lines are parsed; the trailing incomplete line
+   * is returned so that it can be prepended to the next chunk.
    *
    * @param {MencoderCommand} command event emitter
-   * @param {String} stderr mencoder stderr data
+   * @param {String} output mencoder output data
    * @param {Number} [duration=0] expected output duration in seconds
+   * @param {Number} [passIndex] 0-based index of the current pass, for multi-pass encodes
+   * @param {Number} [passCount] total pass count, for multi-pass encodes
+   * @return {String} trailing incomplete line
    * @private
    */
-  extractProgress: function(command, stderr, duration) {
-    var lines = stderr.split(nlRegexp);
-    var lastline = lines[lines.length - 2];
+  extractProgress: function(command, output, duration, passIndex, passCount) {
+    var lines = output.split(nlRegexp);
+    var remainder = lines.pop();
     var progress;
 
-    return;
-
-
-    if (lastline) {
-      progress = parseProgressLine(lastline);
+    // Only report the most recent status line
+    for (var i = lines.length - 1; i >= 0 && !progress; i--) {
+      progress = parseProgressLine(lines[i]);
     }
 
     if (progress) {
-      // build progress report object
-      var ret = {
-        frames: parseInt(progress.frame, 10),
-        currentFps: parseInt(progress.fps, 10),
-        currentKbps: parseFloat(progress.bitrate.replace('kbits/s', '')),
-        targetSize: parseInt(progress.size, 10),
-        timemark: progress.time
-      };
-
-      // calculate percent progress using duration
+      // mencoder only reports an integer percentage, compute a finer one when possible
       if (duration && duration > 0) {
-        ret.percent = (utils.timemarkToSeconds(ret.timemark) / duration) * 100;
+        progress.percent = Math.min(100, (progress.position / duration) * 100);
       }
 
-      command.emit('progress', ret);
+      // Report progress across all passes
+      if (typeof passIndex !== 'undefined') {
+        progress.pass = passIndex + 1;
+        progress.passes = passCount;
+        progress.percent = (passIndex * 100 + progress.percent) / passCount;
+      }
+
+      command.emit('progress', progress);
     }
+
+    return remainder;
   },
 
 
@@ -365,5 +357,39 @@ var utils = module.exports = {
         return messages;
       }
     }, []).join('\n');
+  },
+
+
+  /**
+   * Build a shell-safe command line from an argument list
+   *
+   * Arguments containing special characters are quoted for sh-compatible shells, or
+   * cmd.exe on Windows.  On Windows, arguments are quoted the way programs parse their
+   * command line, then cmd.exe special characters (including '%') are escaped with '^'.
+   * The result is meant for an interactive cmd.exe, not for batch files.
+   *
+   * @param {Array} args argument list, including the command
+   * @return {String}
+   * @private
+   */
+  shellQuote: function(args) {
+    return args.map(function(arg) {
+      arg = String(arg);
+
+      if (isWindows) {
+        if (arg.match(cmdSafeRegexp)) {
+          return arg;
+        }
+
+        // Double backslashes before quotes and at the end, then escape quotes
+        arg = '"' + arg.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1') + '"';
+
+        return arg.replace(cmdSpecialRegexp, '^$&');
+      } else if (arg.match(shellSafeRegexp)) {
+        return arg;
+      } else {
+        return '\'' + arg.replace(/'/g, '\'\\\'\'') + '\'';
+      }
+    }).join(' ');
   }
 };
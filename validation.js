@@ -0,0 +1,160 @@
+/*jshint node:true*/
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var async = require('async');
+var containers = require('./containers');
+
+
+/**
+ * Check whether a path is accessible
+ *
+ * @param {String} file file path
+ * @param {Number} mode access mode (fs.R_OK, fs.W_OK...)
+ * @param {String} message problem message
+ * @param {Function} callback callback with signature (err, problem), 'problem' being null
+ *   when 'file' is accessible
+ * @private
+ */
+function checkAccess(file, mode, message, callback) {
+  fs.access(file, mode, function(err) {
+    callback(null, err ? message + ' (' + err.code + ')' : null);
+  });
+}
+
+
+/**
+ * Remove 'file:' protocol from a path
+ *
+ * @param {String} file file path or URL
+ * @return file path
+ * @private
+ */
+function localPath(file) {
+  return file.replace(/^file:(\/\/)?/, '');
+}
+
+
+/*
+ *! Pre-flight validation methods
+ */
+
+module.exports = function(proto) {
+  /**
+   * A callback passed to {@link MencoderCommand#validate}.
+   *
+   * @callback MencoderCommand~validateCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {String[]} problems list of problems, empty when the command is valid
+   */
+
+  /**
+   * Check a command before running it
+   *
+   * Reports all problems at once:
+   * - missing or unreadable input files and DVD devices
+   * - missing or read-only output directories
+   * - video/audio encoders, muxers, libavcodec codecs and filters not supported by the
+   *   mencoder binary (see {@link MencoderCommand#availableVideoEncoders} and others)
+   * - codecs not supported by the output container (see {@link MencoderCommand#format})
+   * - 'detect' deinterlacing without ffprobe (see {@link MencoderCommand#deinterlace})
+   *
+   * Commands are validated automatically by {@link MencoderCommand#run}, which fails with
+   * an error listing all problems in its 'problems' property.
+   *
+   * @example
+   * command.validate(function(err, problems) {
+   *   if (problems.length) {
+   *     console.log('Cannot process: ' + problems.join(', '));
+   *   }
+   * });
+   *
+   * @method MencoderCommand#validate
+   * @category Processing
+   *
+   * @param {MencoderCommand~validateCallback} callback callback function
+   */
+  proto.validate = function(callback) {
+    var self = this;
+    var problems = [];
+    var checks = [];
+
+    if (!this._inputs.length) {
+      problems.push('No input specified');
+    }
+
+    if (!this._outputs.some(function(output) { return 'target' in output; })) {
+      problems.push('No output specified');
+    }
+
+    // Input files and DVD devices
+    this._inputs.forEach(function(input) {
+      if (input.isFile && !input.isImageSequence) {
+        checks.push(function(cb) {
+          checkAccess(localPath(input.source), fs.R_OK, 'Cannot read input file ' + input.source, cb);
+        });
+      }
+
+      var device = input.options.find('-dvd-device', 1);
+
+      if (device) {
+        checks.push(function(cb) {
+          checkAccess(device[0], fs.R_OK, 'Cannot read DVD device ' + device[0], cb);
+        });
+      }
+    });
+
+    // Output directories and codec compatibility
+    this._outputs.forEach(function(output) {
+      if (output.isFile) {
+        var folder = path.dirname(path.resolve(localPath(output.target)));
+
+        checks.push(function(cb) {
+          checkAccess(folder, fs.W_OK, 'Cannot write to output folder ' + folder, cb);
+        });
+      }
+
+      problems.push.apply(problems, containers.check(output));
+
+      if (output.audioFilters.get().length && (output.audio.find('-oac', 1) || [])[0] === 'copy') {
+        problems.push('Audio filters cannot be used when copying the audio stream');
+      }
+
+      var videoFilters = output.videoFilters.get().length || output.sizeFilters.get().length ||
+        output.flags.deinterlace || output.flags.autocrop;
+
+      if (videoFilters && (output.video.find('-ovc', 1) || [])[0] === 'copy') {
+        problems.push('Video filters cannot be used when copying the video stream');
+      }
+    });
+
+    // Field order is only available from ffprobe, not from mplayer -identify
+    var detectInterlacing = this._outputs.some(function(output) {
+      return output.flags.deinterlace && output.flags.deinterlace.mode === 'detect';
+    });
+
+    if (detectInterlacing) {
+      checks.push(function(cb) {
+        self._getFfprobePath(function(err, ffprobe) {
+          cb(null, err || !ffprobe ?
+            'Deinterlacing mode \'detect\' requires ffprobe to read the input field order' : null);
+        });
+      });
+    }
+
+    async.series(checks, function(err, results) {
+      problems.push.apply(problems, results.filter(function(problem) {
+        return !!problem;
+      }));
+
+      self._checkCapabilities(function(err, unavailable) {
+        if (err) {
+          return callback(err);
+        }
+
+        callback(null, problems.concat(unavailable));
+      });
+    });
+  };
+};